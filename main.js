@@ -17,49 +17,80 @@ const MeshLineMaterial = window.MeshLineMaterial || window.THREE.MeshLineMateria
 const Tween = window.TWEEN;
 
 // Theme definitions.  Each theme describes how to assemble one or
-// more line meshes for the outline and may spawn particles on
-// animation frames.  Themes can be extended in future releases.
+// more line meshes for the outline, may spawn particles on animation
+// frames and may add screen effects such as bloom.  Users can add
+// their own in the theme editor (see "User-defined themes" below).
 const THEMES = {
   wireframe: {
     name: 'Wireframe Glow',
     background: '#0a0a0a',
     colors: ['#00bfff'],
-    lineWidths: [1.5, 6, 12],
-    opacities: [1.0, 0.5, 0.2],
-    blending: [THREE.NormalBlending, THREE.AdditiveBlending, THREE.AdditiveBlending],
+    // Core colour for land borders shared with neighbours
+    borderColor: '#7fdfff',
+    // Font family for on-canvas labels
+    font: 'system-ui, sans-serif',
+    lineWidths: [1.5],
+    opacities: [1.0],
+    blending: [THREE.NormalBlending],
+    // Glow comes from bloom (see "Post-processing" below)
+    post: { bloom: { strength: 1.6, radius: 10, threshold: 0.1 }, vignette: 0.35 },
+    // Fill once the outline has drawn (see "Fills" below)
+    fill: { style: 'gradient', color: '#00bfff', color2: '#002233', opacity: 0.35 },
     particle: {
       color: 0x00bfff,
+      colorEnd: 0x0040ff,
       size: 2,
+      sizeEnd: 1,
       max: 80,
-      speed: 0.6,
+      speed: 6,
       lifetime: 0.9,
+      drift: 8,
+      trail: 3,
     },
   },
   neon: {
     name: 'Neon',
     background: '#000000',
     colors: ['#00ffff'],
-    // Outer glows use thicker lines with additive blending
-    lineWidths: [2.5, 8, 16],
-    opacities: [1.0, 0.7, 0.3],
-    blending: [THREE.NormalBlending, THREE.AdditiveBlending, THREE.AdditiveBlending],
+    borderColor: '#ff4fd8',
+    font: '"Trebuchet MS", sans-serif',
+    lineWidths: [2.5],
+    opacities: [1.0],
+    blending: [THREE.NormalBlending],
+    // A wide, strong bloom with a CRT finish
+    post: {
+      bloom: { strength: 2.4, radius: 16, threshold: 0.05 },
+      chromaticAberration: 1.5,
+      vignette: 0.5,
+      scanlines: 0.2,
+    },
+    fill: { style: 'dots', color: '#ff4fd8', opacity: 0.7, spacing: 7 },
     particle: {
       color: 0x00ffff,
+      colorEnd: 0xff4fd8,
       size: 3,
+      sizeEnd: 1.5,
       max: 120,
-      speed: 0.8,
+      speed: 10,
       lifetime: 1.2,
+      // Embers that fall away from the line
+      gravity: 20,
+      drift: 4,
+      trail: 5,
     },
   },
   blueprint: {
     name: 'Blueprint',
     background: '#031e34',
     colors: ['#ffffff'],
+    borderColor: '#8fb8de',
+    font: '"Courier New", monospace',
     // Drop shadow effect simulated via multiple layers with slight offsets
     lineWidths: [1.8, 3.6],
     opacities: [1.0, 0.3],
     blending: [THREE.NormalBlending, THREE.NormalBlending],
     offsets: [0, 1.5], // pixel offsets in world units for blueprint shadow
+    fill: { style: 'hatch', color: '#ffffff', opacity: 0.4, spacing: 8, angle: 45 },
     particle: null, // blueprint has no particles
   },
 };
@@ -67,20 +98,90 @@ const THEMES = {
 // Application state
 const state = {
   world: null, // TopoJSON topology
+  dataSource: null, // { label, url } the topology was loaded from
   features: [], // GeoJSON features
-  index: [], // Search index items { name, id, iso }
+  index: [], // Search index items { name, id, codes, short, official, aliases, localNames }
+  exactTerms: new Map(), // Folded search term -> { item, key, text, rank } for exact lookups
+  countryMeta: {}, // ISO codes, aliases and translations keyed by country id
+  aliasOptions: [], // Datalist options currently offered for matched aliases
   fuse: null, // Fuse.js instance for fuzzy searching
   projection: null, // Current projection function
-  currentCountry: null, // Currently displayed feature
+  projectionKey: 'auto', // Key of PROJECTIONS, or 'auto' to choose per selection
+  projectionUsed: null, // Key of the projection actually used for the outline
+  currentCountry: null, // Currently displayed feature (first of the selection)
+  selection: [], // Features drawn together in the current outline
+  selectionLabel: '', // Display name of the selection, e.g. "Europe"
+  selectionRegion: null, // Region picker value the selection came from, if any
+  restoringUrl: false, // true while applying URL state, so it is not pushed back
+  sequenceMode: 'together', // 'together' or 'sequential' for multi-feature draws
+  multiSelect: false, // Add picked countries to the selection instead of replacing it
+  ringOrder: 'arclength', // Key of RING_ORDERS: how rings are sequenced
+  easing: 'linear', // Key of EASINGS for the draw tween
+  regions: null, // Region metadata from data/regions.json
+  fit: null, // { scale, offsetX, offsetY } mapping projected points to world units
+  showSubdivisions: false, // Draw admin-1 boundaries after the national outline
+  subdivisions: {}, // Admin-1 features keyed by parent country id
+  subdivisionGroup: null, // Secondary line group for admin-1 boundaries
+  subdivisionReveal: null, // { elapsed, duration } while the admin-1 layer draws in
+  countryCount: 0, // Number of world-atlas features at the start of state.features
+  neighbors: null, // topojson.neighbors() of the countries collection
+  showContext: false, // Draw neighbouring countries behind the outline
+  contextNeighbours: [], // Neighbour features currently drawn
+  contextGroup: null,
+  borderGroup: null, // Shared land borders, styled apart from coastline
+  viewMode: 'flat', // 'flat' map or 'globe'
+  globe: null, // { root, spin, radius, centre, themeKey } while in globe view
+  globeTween: null, // Fly-to rotation in progress
+  morph: false, // Morph the previous outline into the next instead of redrawing
+  morphGroup: null, // Line group shown while morphing
+  showInsets: true, // Move far-flung territories into inset boxes
+  insetFrames: [], // Inset boxes { cx, cy, width, height } in world units
+  insets: [], // Inset parts { feature, bounds, box, projection, fit } matching insetFrames
+  insetMainland: null, // Feature left in the main box when there are insets
+  insetFrameGroup: null,
+  outlineRings: null, // Projected, fitted rings of the current outline
+  showLabels: true, // Name and capital annotations once the outline has drawn
+  showScaleBar: false,
+  callouts: [], // Free-text callouts { lonLat, text } on the current outline
+  placingCallout: false, // true while the next canvas click places a callout
+  pendingCallout: null, // [lon, lat] of a placed callout waiting for its text
+  showFill: false, // Fill the outline with the theme's fill once it has drawn
+  fillMesh: null,
+  annotationGroup: null,
+  annotationItems: [], // Annotations shown, as laid out by layoutAnnotations()
+  viewSize: null, // { width, height } the outline was fitted to
   renderer: null,
+  rendererKind: 'webgl', // 'webgl', or 'canvas' for the Canvas 2D fallback
   scene: null,
   camera: null,
   lineGroup: null,
   particleSystem: null,
-  animationTween: null,
+  animationTween: null, // Draw tween, driven by the playback transport
+  morphTween: null,
+  // Playback transport: position on the draw's virtual clock (ms),
+  // rate, pause, 'once' | 'loop' | 'pingpong' and current direction
+  playback: { time: 0, rate: 1, paused: false, mode: 'once', direction: 1 },
+  transport: null, // Transport bar elements
+  // Quiz in progress: { questions, current, score, streak, bestStreak,
+  // missed, startedAt, timer, answered }, or null
+  quiz: null,
+  quizUI: null, // Quiz panel elements
+  // Kiosk tour in progress: { source, queue, current, hold, holdLeft,
+  // waiting, paused }, or null
+  tour: null,
+  tourUI: null, // Tour controls and title card elements
+  stats: null, // geometryStats() of the selection while the stats panel is open
+  statsUI: null, // Stats panel elements
   animating: true,
   animationDuration: 15000, // ms default
+  // Random source for particle spawning.  Frame export swaps in a
+  // seeded generator so every export is identical.
+  random: Math.random,
+  exporting: false, // true while frame export drives the animation
   themeKey: 'wireframe',
+  customThemes: new Set(), // Keys of user-defined themes in THEMES
+  themeEditorFields: null, // Inputs of the theme editor panel
+  themePreviewTimer: null,
   mounted: false,
   // DOM elements
   countryInput: null,
@@ -92,6 +193,24 @@ const state = {
   menuToggle: null,
   primaryControls: null,
   secondaryControls: null,
+  exportBackgroundToggle: null,
+  exportWidth: null,
+  exportHeight: null,
+  exportFps: null,
+  exportFormat: null,
+  regionSelect: null,
+  multiSelectToggle: null,
+  sequenceSelect: null,
+  selectionChips: null,
+  subdivisionsToggle: null,
+  contextToggle: null,
+  orderSelect: null,
+  easingSelect: null,
+  insetsToggle: null,
+  projectionSelect: null,
+  viewSelect: null,
+  morphToggle: null,
+  calloutText: null,
 };
 
 // Utility: convert hex colour string to THREE.Color
@@ -99,120 +218,524 @@ function colorFromHex(hex) {
   return new THREE.Color(hex);
 }
 
-// Particle system for visual spark/ember effects.  Uses a
-// Points object updated every frame.  Spawn parameters come from
-// theme.particle.  Particles are recycled to avoid GC churn.
+// Seeded pseudo-random generator (mulberry32).  Returns a function
+// with the same contract as Math.random.
+function createSeededRandom(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Particle system for visual spark/ember effects, drawn as GPU points
+// by a small shader.  Spawn and motion parameters come from
+// theme.particle (see PARTICLE_DEFAULTS for the optional ones): colour,
+// size and alpha run from their start to their end values over each
+// particle's lifetime, gravity pulls particles down and drift makes
+// them wander.  With `trail` set each particle leaves that many fading
+// points along its recent path.  Particles are recycled to avoid GC
+// churn.  `random` defaults to Math.random; pass a seeded generator for
+// repeatable output.
+const PARTICLE_DEFAULTS = {
+  colorEnd: null, // defaults to `color`
+  sizeEnd: null, // defaults to `size`
+  alphaStart: 1,
+  alphaEnd: 0,
+  gravity: 0, // world units per second²
+  drift: 0, // strength of random acceleration, world units per second²
+  trail: 0, // trailing points per particle
+  rate: 4, // particles per frame, shared between the drawing heads
+};
+const MAX_PARTICLE_TRAIL = 12;
+const MAX_PARTICLES = 2000; // per system, to bound the buffers a theme can ask for
+
+const PARTICLE_VERTEX_SHADER = `
+  attribute float life;
+  attribute float trail;
+  uniform vec3 colorStart;
+  uniform vec3 colorEnd;
+  uniform float sizeStart;
+  uniform float sizeEnd;
+  uniform float alphaStart;
+  uniform float alphaEnd;
+  uniform float scale;
+  varying vec3 vColor;
+  varying float vAlpha;
+  void main() {
+    vColor = mix(colorStart, colorEnd, life);
+    // Trail points shrink and fade towards the tail
+    vAlpha = life < 0.0 ? 0.0 : mix(alphaStart, alphaEnd, life) * (1.0 - trail);
+    gl_PointSize = mix(sizeStart, sizeEnd, life) * (1.0 - 0.5 * trail) * scale;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+const PARTICLE_FRAGMENT_SHADER = `
+  varying vec3 vColor;
+  varying float vAlpha;
+  void main() {
+    if (vAlpha <= 0.0) discard;
+    float d = length(gl_PointCoord - vec2(0.5));
+    gl_FragColor = vec4(vColor, vAlpha * (1.0 - smoothstep(0.25, 0.5, d)));
+  }
+`;
+
 class ParticleSystem {
-  constructor(scene, params) {
-    this.params = params;
+  constructor(scene, params, random = Math.random) {
+    this.params = Object.assign({}, PARTICLE_DEFAULTS, params);
+    if (this.params.colorEnd === null) this.params.colorEnd = params.color;
+    if (this.params.sizeEnd === null) this.params.sizeEnd = params.size;
+    this.random = random;
     this.particles = [];
+    // Points per particle: its head plus the trail
+    this.stride = 1 + Math.min(MAX_PARTICLE_TRAIL, Math.max(0, Math.round(this.params.trail)));
+    const count = params.max * this.stride;
     this.geometry = new THREE.BufferGeometry();
-    this.positions = new Float32Array(params.max * 3);
-    this.alphas = new Float32Array(params.max);
+    this.positions = new Float32Array(count * 3);
+    this.lives = new Float32Array(count).fill(-1);
+    const trails = new Float32Array(count);
+    for (let i = 0; i < count; i++) trails[i] = (i % this.stride) / this.stride;
     this.geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3));
-    this.geometry.setAttribute('alpha', new THREE.BufferAttribute(this.alphas, 1));
-    const material = new THREE.PointsMaterial({
-      size: params.size,
-      color: params.color,
+    this.geometry.setAttribute('life', new THREE.BufferAttribute(this.lives, 1));
+    this.geometry.setAttribute('trail', new THREE.BufferAttribute(trails, 1));
+    const p = this.params;
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        colorStart: { value: new THREE.Color(p.color) },
+        colorEnd: { value: new THREE.Color(p.colorEnd) },
+        sizeStart: { value: p.size },
+        sizeEnd: { value: p.sizeEnd },
+        alphaStart: { value: p.alphaStart },
+        alphaEnd: { value: p.alphaEnd },
+        scale: { value: 1 },
+      },
+      vertexShader: PARTICLE_VERTEX_SHADER,
+      fragmentShader: PARTICLE_FRAGMENT_SHADER,
       transparent: true,
-      opacity: 1.0,
       depthWrite: false,
       blending: THREE.AdditiveBlending,
-      vertexColors: false,
     });
     this.points = new THREE.Points(this.geometry, material);
+    // Particle sizes are in world units; convert to pixels of whatever
+    // target is being drawn, so exports keep the on-screen proportions
+    const size = new THREE.Vector2();
+    this.points.onBeforeRender = (renderer, scene, camera) => {
+      renderer.getDrawingBufferSize(size);
+      material.uniforms.scale.value = size.y / (camera.top - camera.bottom);
+    };
+    this.points.userData.particleSystem = this;
+    this.points.frustumCulled = false;
     scene.add(this.points);
     // Preallocate particle data
     for (let i = 0; i < params.max; i++) {
-      this.particles.push({ active: false, x: 0, y: 0, z: 0, vx: 0, vy: 0, life: 0, age: 0 });
+      this.particles.push({ active: false, x: 0, y: 0, z: 0, vx: 0, vy: 0, age: 0 });
     }
   }
   update(dt) {
-    const speed = this.params.speed;
-    const lifetime = this.params.lifetime;
+    const { lifetime, gravity, drift } = this.params;
+    const stride = this.stride;
     for (let i = 0; i < this.particles.length; i++) {
       const p = this.particles[i];
-      if (p.active) {
-        p.age += dt;
-        if (p.age > lifetime) {
-          p.active = false;
-          this.positions[i * 3 + 2] = 9999; // move offscreen
-          this.alphas[i] = 0;
-        } else {
-          // update position
-          p.x += p.vx * dt;
-          p.y += p.vy * dt;
-          this.positions[i * 3] = p.x;
-          this.positions[i * 3 + 1] = p.y;
-          this.positions[i * 3 + 2] = 0;
-          // fade out over lifetime
-          const alpha = 1.0 - p.age / lifetime;
-          this.alphas[i] = alpha;
-        }
+      if (!p.active) continue;
+      p.age += dt;
+      const base = i * stride;
+      if (p.age > lifetime) {
+        p.active = false;
+        this.lives.fill(-1, base, base + stride);
+        continue;
       }
+      // Trail points step one place back along the path
+      this.positions.copyWithin((base + 1) * 3, base * 3, (base + stride - 1) * 3);
+      this.lives.copyWithin(base + 1, base, base + stride - 1);
+      if (drift) {
+        p.vx += (this.random() - 0.5) * 2 * drift * dt;
+        p.vy += (this.random() - 0.5) * 2 * drift * dt;
+      }
+      p.vy -= gravity * dt;
+      p.x += p.vx * dt;
+      p.y += p.vy * dt;
+      this.positions[base * 3] = p.x;
+      this.positions[base * 3 + 1] = p.y;
+      this.positions[base * 3 + 2] = p.z;
+      this.lives[base] = p.age / lifetime;
     }
     this.geometry.attributes.position.needsUpdate = true;
-    this.geometry.attributes.alpha.needsUpdate = true;
+    this.geometry.attributes.life.needsUpdate = true;
   }
-  spawn(x, y, count) {
+  spawn(x, y, count, z = 0) {
+    const stride = this.stride;
     for (let i = 0; i < this.particles.length && count > 0; i++) {
       const p = this.particles[i];
       if (!p.active) {
         p.active = true;
         p.x = x;
         p.y = y;
-        p.z = 0;
+        p.z = z;
         // random velocity direction
-        const angle = Math.random() * Math.PI * 2;
-        const speed = this.params.speed * (0.5 + Math.random());
+        const angle = this.random() * Math.PI * 2;
+        const speed = this.params.speed * (0.5 + this.random());
         p.vx = Math.cos(angle) * speed;
         p.vy = Math.sin(angle) * speed;
         p.age = 0;
         count--;
-        this.positions[i * 3] = p.x;
-        this.positions[i * 3 + 1] = p.y;
-        this.positions[i * 3 + 2] = 0;
-        this.alphas[i] = 1.0;
+        // The whole trail starts at the spawn point
+        for (let k = i * stride; k < (i + 1) * stride; k++) {
+          this.positions[k * 3] = x;
+          this.positions[k * 3 + 1] = y;
+          this.positions[k * 3 + 2] = z;
+          this.lives[k] = -1;
+        }
+        this.lives[i * stride] = 0;
       }
     }
   }
+  // Colour ([r, g, b] in 0–1), alpha and size of point `i`, matching
+  // the shader; used by the Canvas 2D renderer
+  pointStyle(i) {
+    const life = this.lives[i];
+    if (life < 0) return null;
+    const trail = (i % this.stride) / this.stride;
+    const u = this.points.material.uniforms;
+    const mix = (a, b) => a + (b - a) * life;
+    return {
+      color: [
+        mix(u.colorStart.value.r, u.colorEnd.value.r),
+        mix(u.colorStart.value.g, u.colorEnd.value.g),
+        mix(u.colorStart.value.b, u.colorEnd.value.b),
+      ],
+      alpha: mix(u.alphaStart.value, u.alphaEnd.value) * (1 - trail),
+      size: mix(u.sizeStart.value, u.sizeEnd.value) * (1 - 0.5 * trail),
+    };
+  }
   setActive(active) {
     this.points.visible = active && !!this.params;
   }
 }
 
+// Boundary data sources.  The world TopoJSON is looked up in order:
+// an explicitly configured URL (?data=… in the page URL, or the
+// localStorage key below), the copy bundled in data/, and finally
+// the CDN.  Kiosks and offline demo machines therefore work from the
+// bundled file without any network access.
+const DATA_URL_STORAGE_KEY = 'countryOutliner.dataUrl';
+const BUNDLED_DATA_URL = 'data/countries-110m.json';
+// Use unpkg.com for the CDN fallback instead of jsDelivr.  The
+// jsDelivr endpoint started returning 403 errors when loaded from a
+// file:// origin, whereas unpkg.com serves the file with permissive
+// CORS headers.  Pin to a specific version to avoid any breaking
+// changes in the future.
+const CDN_DATA_URL = 'https://unpkg.com/world-atlas@2.0.2/countries-110m.json';
+
+// Read a user-configured topology URL, if any.  The query string
+// takes precedence so a single link can override a stored setting.
+function getConfiguredDataUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const fromQuery = params.get('data');
+  if (fromQuery) return fromQuery;
+  try {
+    return window.localStorage.getItem(DATA_URL_STORAGE_KEY) || null;
+  } catch (err) {
+    // localStorage can throw in sandboxed iframes or private modes
+    return null;
+  }
+}
+
+function getDataSources() {
+  const sources = [];
+  const configured = getConfiguredDataUrl();
+  if (configured) {
+    sources.push({ label: 'configured URL', url: configured });
+  }
+  sources.push({ label: 'bundled dataset', url: BUNDLED_DATA_URL });
+  sources.push({ label: 'CDN', url: CDN_DATA_URL });
+  return sources;
+}
+
+// Check that a parsed file is a TopoJSON topology with a
+// `countries` GeometryCollection.  Throws with a readable reason
+// otherwise so the caller can report why a source was rejected.
+function validateTopology(world) {
+  if (!world || world.type !== 'Topology') {
+    throw new Error('not a TopoJSON topology');
+  }
+  const countries = world.objects && world.objects.countries;
+  if (!countries) {
+    throw new Error('missing an objects.countries collection');
+  }
+  if (countries.type !== 'GeometryCollection' || !Array.isArray(countries.geometries)) {
+    throw new Error('objects.countries is not a GeometryCollection');
+  }
+  if (countries.geometries.length === 0) {
+    throw new Error('objects.countries is empty');
+  }
+}
+
+// Fetch and parse a JSON file, turning network, HTTP and parse
+// failures into short reasons suitable for the status banner.
+async function fetchJson(url) {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (err) {
+    throw new Error('could not be fetched (' + err.message + ')');
+  }
+  if (!response.ok) {
+    const error = new Error('returned HTTP ' + response.status);
+    error.status = response.status;
+    throw error;
+  }
+  try {
+    return await response.json();
+  } catch (err) {
+    throw new Error('is not valid JSON');
+  }
+}
+
+async function fetchTopology(source) {
+  const world = await fetchJson(source.url);
+  validateTopology(world);
+  return world;
+}
+
+// Region metadata (continent, UN subregion and named groups such as
+// the EU) keyed by regionKey(): the numeric ids in state.index, or the
+// name for the countries without one.  Optional: without it the
+// region picker is simply hidden.
+const REGIONS_URL = 'data/regions.json';
+
+// Key of a world-atlas country in the region table.  N. Cyprus,
+// Somaliland and Kosovo have no id, so they go by name.
+function regionKey(feature) {
+  return feature.id === undefined ? feature.properties.name : feature.id;
+}
+
+async function loadRegions() {
+  try {
+    const regions = await fetchJson(REGIONS_URL);
+    if (!regions || typeof regions.countries !== 'object') {
+      throw new Error('has no countries table');
+    }
+    state.regions = regions;
+  } catch (err) {
+    console.warn('Region metadata ' + REGIONS_URL + ' ' + err.message);
+    state.regions = null;
+    return;
+  }
+  // Keys naming no country would silently drop out of their regions
+  const known = new Set(state.features.slice(0, state.countryCount).map(regionKey));
+  const keys = Object.keys(state.regions.countries).concat(
+    ...Object.values(state.regions.groups || {}).map((group) => group.ids)
+  );
+  const unknown = [...new Set(keys.filter((key) => !known.has(key)))];
+  if (unknown.length) {
+    console.warn('Region metadata ' + REGIONS_URL + ' lists unknown countries: ' + unknown.join(', '));
+  }
+}
+
+// Country metadata (ISO 3166 alpha-2/alpha-3 codes, short and official
+// names, common aliases and localized names) keyed by the numeric ids
+// in state.index.  Optional like the region table: without it search
+// only knows the world-atlas names.
+const COUNTRY_META_URL = 'data/countries-meta.json';
+
+async function loadCountryMeta() {
+  try {
+    const meta = await fetchJson(COUNTRY_META_URL);
+    if (!meta || typeof meta !== 'object' || Array.isArray(meta)) {
+      throw new Error('is not a table keyed by country id');
+    }
+    state.countryMeta = meta;
+  } catch (err) {
+    console.warn('Country metadata ' + COUNTRY_META_URL + ' ' + err.message);
+    state.countryMeta = {};
+  }
+}
+
+// Fold case and accents so "cote d'ivoire" finds "Côte d'Ivoire"
+function foldText(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+// Search index entry for a world-atlas country, with every name it
+// can be found by
+function countryIndexEntry(feature) {
+  const meta = state.countryMeta[feature.id] || {};
+  return {
+    name: feature.properties.name,
+    id: feature.id,
+    codes: [meta.iso2, meta.iso3].filter(Boolean),
+    short: meta.short || '',
+    official: meta.official || '',
+    aliases: meta.aliases || [],
+    localNames: Object.values(meta.names || {}),
+  };
+}
+
+// Fuse keys.  The displayed name and the codes outrank aliases, which
+// outrank translations, so "Georgia" stays the country while "Niger"
+// does not turn into Nigeria via a translation.
+const SEARCH_KEYS = [
+  { name: 'name', weight: 3 },
+  { name: 'short', weight: 2.5 },
+  { name: 'codes', weight: 2 },
+  { name: 'official', weight: 1.5 },
+  { name: 'aliases', weight: 1.5 },
+  { name: 'localNames', weight: 1 },
+];
+
+// Fuse reads every key through this, so the index holds folded text
+// and accent-free queries match
+function foldedField(item, path) {
+  const value = window.Fuse.config.getFn(item, path);
+  if (Array.isArray(value)) return value.map(foldText);
+  return typeof value === 'string' ? foldText(value) : value;
+}
+
+function createSearch(index) {
+  return new window.Fuse(index, {
+    keys: SEARCH_KEYS,
+    threshold: 0.3,
+    includeMatches: true,
+    getFn: foldedField,
+  });
+}
+
+// Searchable strings of an index entry as { key, text } pairs
+function searchTerms(item) {
+  const terms = [];
+  for (const { name: key } of SEARCH_KEYS) {
+    const value = item[key];
+    (Array.isArray(value) ? value : [value]).forEach((text) => {
+      if (text) terms.push({ key, text });
+    });
+  }
+  return terms;
+}
+
+// Record an entry's terms for exactSearchMatch.  A term shared by
+// several entries goes to the one holding it under the highest
+// ranked key, and among those to the first indexed.
+function addExactTerms(item) {
+  searchTerms(item).forEach(({ key, text }) => {
+    const folded = foldText(text);
+    const rank = SEARCH_KEYS.findIndex((k) => k.name === key);
+    const current = state.exactTerms.get(folded);
+    if (!current || rank < current.rank) {
+      state.exactTerms.set(folded, { item, key, text, rank });
+    }
+  });
+}
+
+// Append an entry to the search index, the Fuse index and the exact
+// term table
+function addSearchItem(item) {
+  state.index.push(item);
+  state.fuse.add(item);
+  addExactTerms(item);
+}
+
+// Entry with a name, code or alias equal to the query, ignoring case
+// and accents, as { item, key, text }
+function exactSearchMatch(query) {
+  const match = state.exactTerms.get(foldText(query.trim()));
+  return match ? { item: match.item, key: match.key, text: match.text } : null;
+}
+
+// Fuzzy search returning { item, key, text } with the original form
+// of the string that matched, so suggestions can show the alias
+function searchIndex(query, limit) {
+  const folded = foldText(query.trim());
+  return state.fuse.search(folded, { limit }).map((result) => {
+    const matches = result.matches || [];
+    const match = matches.find((m) => m.value === folded) || matches[0];
+    const term =
+      match && searchTerms(result.item).find((t) => t.key === match.key && foldText(t.text) === match.value);
+    return term
+      ? { item: result.item, key: term.key, text: term.text }
+      : { item: result.item, key: 'name', text: result.item.name };
+  });
+}
+
+// Feature a search index item stands for.  A few world-atlas
+// countries (N. Cyprus, Somaliland, Kosovo) have no id, so the name
+// has to match as well.
+function featureForItem(item) {
+  return state.features.find((f) => f.id === item.id && f.properties.name === item.name) || null;
+}
+
+// Offer the aliases matching what has been typed as extra datalist
+// options, e.g. "Deutschland" labelled "Germany".  They replace the
+// previous batch on every keystroke.
+function showAliasSuggestions(query) {
+  const datalist = document.getElementById('countriesList');
+  state.aliasOptions.forEach((option) => option.remove());
+  state.aliasOptions = [];
+  if (query.trim().length < 2) return;
+  const seen = new Set();
+  for (const match of searchIndex(query, 8)) {
+    if (match.key === 'name' || seen.has(match.text)) continue;
+    seen.add(match.text);
+    const option = document.createElement('option');
+    option.value = match.text;
+    option.label = match.item.name;
+    datalist.prepend(option);
+    state.aliasOptions.push(option);
+  }
+}
+
+// Try each data source in turn and return the first valid topology.
+// If every source fails, the thrown error lists each attempt.
+async function loadTopology() {
+  const failures = [];
+  for (const source of getDataSources()) {
+    try {
+      const world = await fetchTopology(source);
+      state.dataSource = source;
+      return world;
+    } catch (err) {
+      failures.push(source.label + ' (' + source.url + ') ' + err.message);
+    }
+  }
+  throw new Error('Could not load country boundaries. ' + failures.join('; ') + '.');
+}
+
+// Show a message in the status banner above the canvas.  Errors
+// stay visible; pass an empty message to hide the banner.
+function showStatus(message, kind = 'error') {
+  const el = document.getElementById('statusMessage');
+  if (!el) return;
+  el.textContent = message || '';
+  el.className = message ? 'status-' + kind : 'hidden';
+}
+
 async function loadData() {
   // Fetch the world TopoJSON at 110m resolution.  This strikes a
-  // balance between detail and payload.  We use JSDelivr for fast
-  // global delivery.  The file contains a GeometryCollection named
-  // 'countries'.
-  // Use unpkg.com for the TopoJSON instead of jsDelivr.  The jsDelivr
-  // endpoint started returning 403 errors when loaded from a file://
-  // origin, whereas unpkg.com serves the file with permissive CORS
-  // headers.  Pin to a specific version to avoid any breaking
-  // changes in the future.
-  const url = 'https://unpkg.com/world-atlas@2.0.2/countries-110m.json';
-  const response = await fetch(url);
-  const world = await response.json();
+  // balance between detail and payload.  The file contains a
+  // GeometryCollection named 'countries'.
+  const world = await loadTopology();
   state.world = world;
   const countries = topojson.feature(world, world.objects.countries).features;
   state.features = countries;
-  // Build search index.  Use country name and id; fuse.js will
-  // handle fuzzy matching.  We exclude empty names just in case.
-  const index = [];
-  for (const f of countries) {
-    const name = f.properties.name || '';
-    if (name) {
-      index.push({ name, id: f.id });
-    }
-  }
+  state.countryCount = countries.length;
+  // Neighbour lists by index, from arcs shared between countries
+  state.neighbors = topojson.neighbors(world.objects.countries.geometries);
+  // Build search index from the names plus the codes, aliases and
+  // translations in the metadata table; fuse.js will handle fuzzy
+  // matching.  We exclude empty names just in case.
+  await loadCountryMeta();
+  const index = countries.filter((f) => f.properties.name).map(countryIndexEntry);
   state.index = index;
+  state.exactTerms = new Map();
+  index.forEach(addExactTerms);
   // Create Fuse.js instance for fuzzy searching names
-  state.fuse = new window.Fuse(index, {
-    keys: ['name'],
-    threshold: 0.3,
-    includeScore: false,
-  });
+  state.fuse = createSearch(index);
   // Populate datalist with country names (in alphabetical order)
   const list = index
     .map((item) => item.name)
@@ -225,9 +748,553 @@ async function loadData() {
   });
 }
 
+// Imported features get ids in their own namespace so they can never
+// collide with the numeric ISO ids of the world-atlas countries.
+let importCounter = 0;
+
+// Geometry types drawFeatures() knows how to outline
+const DRAWABLE_TYPES = new Set([
+  'Polygon',
+  'MultiPolygon',
+  'LineString',
+  'MultiLineString',
+  'GeometryCollection',
+]);
+
+// Parse a dropped file into an array of GeoJSON features.  KML is
+// detected by extension or a leading '<'; anything else must be JSON,
+// either a TopoJSON topology or GeoJSON (collection, feature or bare
+// geometry).
+function parseImportedFile(fileName, text) {
+  const trimmed = text.trim();
+  if (/\.kml$/i.test(fileName) || trimmed.startsWith('<')) {
+    return parseKml(trimmed);
+  }
+  let data;
+  try {
+    data = JSON.parse(trimmed);
+  } catch (err) {
+    throw new Error(fileName + ' is not valid JSON or KML');
+  }
+  return featuresFromJson(data, fileName);
+}
+
+// Flatten parsed TopoJSON or GeoJSON into an array of features
+function featuresFromJson(data, fileName) {
+  if (data.type === 'Topology') {
+    const features = [];
+    for (const key of Object.keys(data.objects || {})) {
+      const converted = topojson.feature(data, data.objects[key]);
+      if (converted.type === 'FeatureCollection') {
+        features.push(...converted.features);
+      } else {
+        features.push(converted);
+      }
+    }
+    return features;
+  }
+  if (data.type === 'FeatureCollection') {
+    return data.features || [];
+  }
+  if (data.type === 'Feature') {
+    return [data];
+  }
+  if (DRAWABLE_TYPES.has(data.type)) {
+    return [{ type: 'Feature', properties: {}, geometry: data }];
+  }
+  throw new Error(fileName + ' does not contain GeoJSON or TopoJSON');
+}
+
+// Read a KML "lon,lat[,alt] lon,lat[,alt] …" coordinate string
+function parseKmlCoordinates(text) {
+  return text
+    .trim()
+    .split(/\s+/)
+    .map((tuple) => tuple.split(',').map(Number))
+    .filter((c) => c.length >= 2 && !isNaN(c[0]) && !isNaN(c[1]))
+    .map((c) => [c[0], c[1]]);
+}
+
+// Convert the Placemarks of a KML document into GeoJSON features.
+// Polygons (with inner boundaries) and LineStrings are supported,
+// including inside MultiGeometry; points are ignored since they have
+// no outline to draw.
+function parseKml(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) {
+    throw new Error('KML file could not be parsed');
+  }
+  const features = [];
+  for (const placemark of doc.getElementsByTagName('Placemark')) {
+    const polygons = [];
+    const lines = [];
+    for (const polygon of placemark.getElementsByTagName('Polygon')) {
+      const rings = [];
+      for (const boundary of ['outerBoundaryIs', 'innerBoundaryIs']) {
+        for (const el of polygon.getElementsByTagName(boundary)) {
+          const coords = el.getElementsByTagName('coordinates')[0];
+          if (coords) rings.push(parseKmlCoordinates(coords.textContent));
+        }
+      }
+      if (rings.length && rings[0].length) polygons.push(rings);
+    }
+    for (const line of placemark.getElementsByTagName('LineString')) {
+      const coords = line.getElementsByTagName('coordinates')[0];
+      if (coords) lines.push(parseKmlCoordinates(coords.textContent));
+    }
+    let geometry = null;
+    if (polygons.length && !lines.length) {
+      geometry =
+        polygons.length === 1
+          ? { type: 'Polygon', coordinates: polygons[0] }
+          : { type: 'MultiPolygon', coordinates: polygons };
+    } else if (lines.length && !polygons.length) {
+      geometry =
+        lines.length === 1
+          ? { type: 'LineString', coordinates: lines[0] }
+          : { type: 'MultiLineString', coordinates: lines };
+    } else if (polygons.length) {
+      geometry = {
+        type: 'GeometryCollection',
+        geometries: [
+          ...polygons.map((coordinates) => ({ type: 'Polygon', coordinates })),
+          ...lines.map((coordinates) => ({ type: 'LineString', coordinates })),
+        ],
+      };
+    }
+    if (!geometry) continue;
+    const nameEl = placemark.getElementsByTagName('name')[0];
+    features.push({
+      type: 'Feature',
+      properties: { name: nameEl ? nameEl.textContent.trim() : '' },
+      geometry,
+    });
+  }
+  return features;
+}
+
+// d3-geo treats polygons as spherical, so a ring wound the "wrong"
+// way (as RFC 7946 GeoJSON is) describes everything except the
+// shape.  Reverse the rings of any polygon that covers more than a
+// hemisphere so area, bounds and containment behave.
+function rewindPolygons(geometry) {
+  if (geometry.type === 'GeometryCollection') {
+    geometry.geometries.forEach(rewindPolygons);
+    return;
+  }
+  const polygons =
+    geometry.type === 'Polygon'
+      ? [geometry.coordinates]
+      : geometry.type === 'MultiPolygon'
+        ? geometry.coordinates
+        : [];
+  for (const rings of polygons) {
+    if (d3Geo.geoArea({ type: 'Polygon', coordinates: rings }) > 2 * Math.PI) {
+      rings.forEach((ring) => ring.reverse());
+    }
+  }
+}
+
+// Pick a display name for an imported feature from its common name
+// properties, falling back to the file name.
+function importedFeatureName(feature, fileName, n) {
+  const props = feature.properties || {};
+  const name =
+    props.name || props.NAME || props.Name || props.title || props.label || props.id;
+  if (name !== undefined && name !== null && String(name).trim()) {
+    return String(name).trim();
+  }
+  return fileName.replace(/\.[^.]+$/, '') + ' #' + (n + 1);
+}
+
+// Add features to state.features, the search index, the Fuse index
+// and the datalist so they behave exactly like the bundled countries.
+// Names that clash with an existing entry are suffixed with the file
+// name.  Returns the features that were registered.
+function registerImportedFeatures(features, fileName) {
+  const datalist = document.getElementById('countriesList');
+  const taken = new Set(state.index.map((item) => item.name.toLowerCase()));
+  const added = [];
+  features.forEach((feature, n) => {
+    if (!feature || !feature.geometry || !DRAWABLE_TYPES.has(feature.geometry.type)) {
+      return;
+    }
+    rewindPolygons(feature.geometry);
+    let name = importedFeatureName(feature, fileName, n);
+    if (taken.has(name.toLowerCase())) {
+      name = name + ' (' + fileName + ')';
+    }
+    taken.add(name.toLowerCase());
+    importCounter += 1;
+    feature.id = 'import:' + importCounter;
+    feature.properties = Object.assign({}, feature.properties, { name });
+    const item = { name, id: feature.id };
+    state.features.push(feature);
+    addSearchItem(item);
+    const option = document.createElement('option');
+    option.value = name;
+    datalist.appendChild(option);
+    added.push(feature);
+  });
+  return added;
+}
+
+async function importFiles(files) {
+  const imported = [];
+  const errors = [];
+  for (const file of files) {
+    try {
+      const text = await file.text();
+      const features = parseImportedFile(file.name, text);
+      imported.push(...registerImportedFeatures(features, file.name));
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+  if (errors.length) {
+    showStatus('Import failed: ' + errors.join('; '), 'error');
+  } else if (!imported.length) {
+    showStatus('No polygon or line features found in the dropped file.', 'error');
+  } else {
+    showStatus('Imported ' + imported.length + ' feature(s).', 'info');
+  }
+  if (imported.length) {
+    state.countryInput.value = imported[0].properties.name;
+    drawFeatures([imported[0]]);
+  }
+}
+
+// Accept GeoJSON, TopoJSON and KML files dropped onto the canvas
+function setupFileDrop() {
+  const container = document.getElementById('canvasContainer');
+  container.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    container.classList.add('drop-target');
+  });
+  container.addEventListener('dragleave', (e) => {
+    // Moving onto the canvas or a panel inside the container also
+    // fires a leave; only a leave out of the container counts
+    if (e.relatedTarget && container.contains(e.relatedTarget)) return;
+    container.classList.remove('drop-target');
+  });
+  container.addEventListener('drop', (e) => {
+    e.preventDefault();
+    container.classList.remove('drop-target');
+    const files = Array.from(e.dataTransfer.files || []);
+    if (files.length) {
+      importFiles(files);
+    }
+  });
+}
+
+// Canvas 2D stand-in for THREE.WebGLRenderer, used when WebGL is not
+// available (locked-down browsers, VDI sessions without a GPU).  It
+// implements the part of the renderer API this app uses and draws the
+// scene objects the app builds: MeshLine meshes as stroked paths, the
+// globe's sphere as a filled disc and particles as dots.  Additive
+// layers are drawn with the 'lighter' operation and a shadowBlur as
+// wide as the line.  Of the theme's post-processing, bloom becomes a
+// shadowBlur of the bloom radius on every line, and vignette and
+// scanlines are painted over the frame; chromatic aberration is left
+// out.  Only orthographic cameras are supported, and there is no
+// depth buffer: anything behind the view plane (the far side of the
+// globe) is skipped instead.
+class CanvasLineRenderer {
+  constructor() {
+    this.domElement = document.createElement('canvas');
+    this.context = this.domElement.getContext('2d');
+    this.pixelRatio = 1;
+    this.width = 0;
+    this.height = 0;
+    this.clearColor = new THREE.Color(0x000000);
+    this.clearAlpha = 0;
+    this.post = null; // themePost() of the frame, set by renderScene()
+    this.vector = new THREE.Vector3();
+  }
+  setPixelRatio(ratio) {
+    this.pixelRatio = ratio;
+    this.setSize(this.width, this.height, false);
+  }
+  setSize(width, height, updateStyle = true) {
+    this.width = width;
+    this.height = height;
+    this.domElement.width = Math.floor(width * this.pixelRatio);
+    this.domElement.height = Math.floor(height * this.pixelRatio);
+    if (updateStyle) {
+      this.domElement.style.width = width + 'px';
+      this.domElement.style.height = height + 'px';
+    }
+  }
+  getSize(target) {
+    return target.set(this.width, this.height);
+  }
+  setClearColor(color, alpha = 1) {
+    this.clearColor.set(color);
+    this.clearAlpha = alpha;
+  }
+  dispose() {}
+  render(scene, camera) {
+    const ctx = this.context;
+    const canvas = this.domElement;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (this.clearAlpha > 0) {
+      ctx.globalAlpha = this.clearAlpha;
+      ctx.fillStyle = '#' + this.clearColor.getHexString();
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    scene.updateMatrixWorld();
+    // World units to canvas pixels
+    this.scaleX = canvas.width / (camera.right - camera.left);
+    this.scaleY = canvas.height / (camera.top - camera.bottom);
+    this.camera = camera;
+    // Opaque objects first, then by render order, as WebGL would
+    const objects = [];
+    scene.traverseVisible((object) => {
+      if (object.isMesh || object.isPoints) objects.push(object);
+    });
+    objects
+      .map((object, i) => ({ object, i }))
+      .sort(
+        (a, b) =>
+          (a.object.material.transparent ? 1 : 0) - (b.object.material.transparent ? 1 : 0) ||
+          a.object.renderOrder - b.object.renderOrder ||
+          a.i - b.i
+      )
+      .forEach(({ object }) => {
+        ctx.save();
+        if (object.isPoints) this.drawPoints(object);
+        else if (object.geometry.type === 'SphereGeometry') this.drawDisc(object);
+        else if (object.userData.points) this.drawLine(object);
+        else if (object.userData.label) this.drawLabel(object);
+        else if (object.userData.fill) this.drawFill(object);
+        ctx.restore();
+      });
+    if (this.post) this.drawScreenEffects(this.post);
+  }
+  // Project a local position of `object` to canvas pixels, or return
+  // null when it lies behind the view plane or outside the depth range
+  project(object, x, y, z) {
+    const v = this.vector.set(x, y, z).applyMatrix4(object.matrixWorld);
+    const camera = this.camera;
+    const depth = camera.position.z - v.z;
+    if (v.z < -1e-3 || depth < camera.near || depth > camera.far) return null;
+    return [
+      (v.x - camera.position.x - camera.left) * this.scaleX,
+      (camera.top - (v.y - camera.position.y)) * this.scaleY,
+    ];
+  }
+  setBlending(material, color, blur) {
+    const ctx = this.context;
+    if (material.blending === THREE.AdditiveBlending) {
+      ctx.globalCompositeOperation = 'lighter';
+      ctx.shadowBlur = blur;
+      ctx.shadowColor = color;
+    }
+  }
+  drawLine(mesh) {
+    const ctx = this.context;
+    const points = mesh.userData.points;
+    const range = mesh.geometry.geometry.drawRange.count;
+    const n = points.length / 3;
+    const count = range === Infinity ? n : range > 0 ? Math.min(n, range / 6 + 1) : 0;
+    if (count < 2) return;
+    const uniforms = mesh.material.uniforms;
+    const color = '#' + uniforms.color.value.getHexString();
+    const width = uniforms.lineWidth.value * this.scaleX;
+    ctx.globalAlpha = uniforms.opacity.value;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = width;
+    ctx.lineJoin = 'round';
+    ctx.lineCap = 'round';
+    this.setBlending(mesh.material, color, width);
+    if (this.post && this.post.bloom) {
+      ctx.shadowBlur = this.post.bloom.radius * this.scaleX;
+      ctx.shadowColor = color;
+    }
+    ctx.beginPath();
+    let pen = false;
+    for (let i = 0; i < count; i++) {
+      const p = this.project(mesh, points[i * 3], points[i * 3 + 1], points[i * 3 + 2]);
+      if (!p) {
+        pen = false;
+        continue;
+      }
+      if (pen) ctx.lineTo(p[0], p[1]);
+      else ctx.moveTo(p[0], p[1]);
+      pen = true;
+    }
+    ctx.stroke();
+  }
+  // Fill meshes: the polygons as an even-odd path, clipped to the
+  // flood level, painted like the fill shader
+  drawFill(mesh) {
+    const ctx = this.context;
+    const { polygons, style, range } = mesh.userData.fill;
+    const uniforms = mesh.material.uniforms;
+    const path = new Path2D();
+    let minX = Infinity;
+    let maxX = -Infinity;
+    for (const polygon of polygons) {
+      for (const ring of [polygon.outer].concat(polygon.holes)) {
+        for (let i = 0; i < ring.length / 3; i++) {
+          const p = this.project(mesh, ring[i * 3], ring[i * 3 + 1], 0);
+          if (!p) continue;
+          if (i) path.lineTo(p[0], p[1]);
+          else path.moveTo(p[0], p[1]);
+          minX = Math.min(minX, p[0]);
+          maxX = Math.max(maxX, p[0]);
+        }
+        path.closePath();
+      }
+    }
+    const bottom = this.project(mesh, 0, range[0], 0);
+    const top = this.project(mesh, 0, range[1], 0);
+    if (!bottom || !top) return;
+    const level = bottom[1] + (top[1] - bottom[1]) * uniforms.progress.value;
+    ctx.beginPath();
+    ctx.rect(minX, level, maxX - minX, bottom[1] - level);
+    ctx.clip();
+    ctx.clip(path, 'evenodd');
+    ctx.globalAlpha = uniforms.opacity.value;
+    const spacing = uniforms.spacing.value * this.scaleX;
+    if (style.style === 'gradient') {
+      const gradient = ctx.createLinearGradient(0, bottom[1], 0, top[1]);
+      gradient.addColorStop(0, style.color);
+      gradient.addColorStop(1, style.color2);
+      ctx.fillStyle = gradient;
+      ctx.fill(path, 'evenodd');
+    } else if (style.style === 'hatch') {
+      // Lines across the bounding circle of the fill, rotated into place
+      const cx = (minX + maxX) / 2;
+      const cy = (top[1] + bottom[1]) / 2;
+      const reach = Math.hypot(maxX - minX, bottom[1] - top[1]) / 2 + spacing;
+      ctx.translate(cx, cy);
+      ctx.rotate(-uniforms.angle.value);
+      ctx.strokeStyle = style.color;
+      ctx.lineWidth = 1.5 * this.scaleX;
+      ctx.beginPath();
+      for (let x = -reach; x <= reach; x += spacing) {
+        ctx.moveTo(x, -reach);
+        ctx.lineTo(x, reach);
+      }
+      ctx.stroke();
+    } else if (style.style === 'dots') {
+      const r = spacing * 0.18;
+      ctx.fillStyle = style.color;
+      ctx.beginPath();
+      for (let y = top[1]; y <= bottom[1]; y += spacing) {
+        for (let x = minX; x <= maxX; x += spacing) {
+          ctx.moveTo(x + r, y);
+          ctx.arc(x, y, r, 0, Math.PI * 2);
+        }
+      }
+      ctx.fill();
+    } else {
+      ctx.fillStyle = style.color;
+      ctx.fill(path, 'evenodd');
+    }
+  }
+  // Vignette and scanlines over the finished frame, as the composite
+  // shader applies them.  'source-atop' leaves transparent pixels be.
+  drawScreenEffects(post) {
+    const ctx = this.context;
+    const { width, height } = this.domElement;
+    ctx.save();
+    ctx.globalCompositeOperation = 'source-atop';
+    if (post.vignette > 0) {
+      const reach = Math.hypot(width, height) / 2;
+      const cx = width / 2;
+      const cy = height / 2;
+      const gradient = ctx.createRadialGradient(cx, cy, reach * 0.4, cx, cy, reach);
+      gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+      gradient.addColorStop(1, 'rgba(0, 0, 0, ' + post.vignette + ')');
+      ctx.fillStyle = gradient;
+      ctx.fillRect(0, 0, width, height);
+    }
+    if (post.scanlines > 0) {
+      const spacing = Math.max(2, SCANLINE_SPACING * this.scaleY);
+      ctx.fillStyle = 'rgba(0, 0, 0, ' + post.scanlines + ')';
+      for (let y = spacing / 2; y < height; y += spacing) {
+        ctx.fillRect(0, y, width, spacing / 2);
+      }
+    }
+    ctx.restore();
+  }
+  drawLabel(mesh) {
+    const centre = this.project(mesh, 0, 0, 0);
+    if (!centre) return;
+    const { width, height } = mesh.geometry.parameters;
+    const w = width * this.scaleX;
+    const h = height * this.scaleY;
+    this.context.drawImage(mesh.userData.label.canvas, centre[0] - w / 2, centre[1] - h / 2, w, h);
+  }
+  drawDisc(mesh) {
+    const ctx = this.context;
+    const centre = this.project(mesh, 0, 0, 0) || [0, 0];
+    const radius = mesh.geometry.parameters.radius * this.scaleX;
+    ctx.fillStyle = '#' + mesh.material.color.getHexString();
+    ctx.beginPath();
+    ctx.arc(centre[0], centre[1], radius, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  // Particles, styled per point as the particle shader does
+  drawPoints(points) {
+    const ctx = this.context;
+    const system = points.userData.particleSystem;
+    const positions = points.geometry.attributes.position.array;
+    ctx.globalCompositeOperation = 'lighter';
+    for (let i = 0; i < positions.length / 3; i++) {
+      const style = system.pointStyle(i);
+      if (!style || style.alpha <= 0) continue;
+      const p = this.project(points, positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+      if (!p) continue;
+      const [r, g, b] = style.color.map((c) => Math.round(c * 255));
+      const size = style.size * this.scaleY;
+      ctx.globalAlpha = style.alpha;
+      ctx.fillStyle = 'rgb(' + r + ',' + g + ',' + b + ')';
+      ctx.beginPath();
+      ctx.arc(p[0], p[1], size / 2, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+}
+
+// Whether the browser can create a WebGL context at all
+function webglAvailable() {
+  try {
+    const canvas = document.createElement('canvas');
+    return !!(window.WebGLRenderingContext && (canvas.getContext('webgl2') || canvas.getContext('webgl')));
+  } catch (err) {
+    return false;
+  }
+}
+
+// Create the WebGL renderer, or the Canvas 2D fallback when WebGL is
+// missing or ?renderer=canvas asks for it.  Records which one in
+// state.rendererKind so offscreen exports use the same backend.
+function createRenderer(options) {
+  const forced = new URLSearchParams(window.location.search).get('renderer') === 'canvas';
+  if (!forced && webglAvailable()) {
+    try {
+      state.rendererKind = 'webgl';
+      return new THREE.WebGLRenderer(options);
+    } catch (err) {
+      console.warn('WebGL renderer failed: ' + err.message);
+    }
+  }
+  state.rendererKind = 'canvas';
+  if (!forced) {
+    showStatus('WebGL is not available, so outlines are drawn with the slower Canvas 2D renderer.', 'info');
+  }
+  return new CanvasLineRenderer();
+}
+
 function setupRenderer() {
   const container = document.getElementById('canvasContainer');
-  const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+  const renderer = createRenderer({ antialias: true, alpha: true });
   renderer.setPixelRatio(window.devicePixelRatio || 1);
   renderer.setSize(container.clientWidth, container.clientHeight);
   container.appendChild(renderer.domElement);
@@ -249,13 +1316,7 @@ function setupRenderer() {
     const h = container.clientHeight;
     renderer.setSize(w, h);
     // update resolution uniform on line materials when available
-    if (state.lineGroup) {
-      state.lineGroup.children.forEach((mesh) => {
-        if (mesh.material && mesh.material.uniforms && mesh.material.uniforms.resolution) {
-          mesh.material.uniforms.resolution.value.set(w, h);
-        }
-      });
-    }
+    setLineResolution(w, h);
     // update camera aspect
     const aspect = w / h;
     // We'll adjust camera bounds when drawing; here just update aspect
@@ -264,15 +1325,28 @@ function setupRenderer() {
   });
 }
 
+// Update the resolution uniform of every MeshLine material
+function setLineResolution(w, h) {
+  if (!state.scene) return;
+  state.scene.traverse((mesh) => {
+    if (mesh.material && mesh.material.uniforms && mesh.material.uniforms.resolution) {
+      mesh.material.uniforms.resolution.value.set(w, h);
+    }
+  });
+}
+
 function setTheme(key) {
   state.themeKey = key;
   const theme = THEMES[key];
   // Update background color
   document.body.style.backgroundColor = theme.background;
-  // If a country is already displayed, rebuild the line group
-  if (state.currentCountry) {
-    drawCountry(state.currentCountry);
+  // The globe takes its colours from the theme too
+  if (state.globe) {
+    ensureGlobe();
+    render();
   }
+  // If a country is already displayed, rebuild the line group
+  redraw();
 }
 
 function createLineMeshes(rings, theme) {
@@ -293,7 +1367,8 @@ function createLineMeshes(rings, theme) {
     const color = new THREE.Color(colorHex);
     // For blueprint shadow effect, we apply a fixed offset on this layer
     const layerOffset = offsets && offsets[layer] ? offsets[layer] : 0;
-    for (const ring of rings) {
+    for (let r = 0; r < rings.length; r++) {
+      const ring = rings[r];
       const geometry = new MeshLine();
       geometry.setPoints(ring);
       const material = new MeshLineMaterial({
@@ -302,6 +1377,8 @@ function createLineMeshes(rings, theme) {
         transparent: true,
         opacity: opacity,
         blending: blending,
+        // three.js only supports these two modes on premultiplied alpha
+        premultipliedAlpha: blending === THREE.MultiplyBlending || blending === THREE.SubtractiveBlending,
         depthWrite: false,
         resolution: new THREE.Vector2(state.renderer.domElement.clientWidth, state.renderer.domElement.clientHeight),
         // disable dashing for now; themes with dashed lines could set dashArray
@@ -309,6 +1386,10 @@ function createLineMeshes(rings, theme) {
       });
       // For blueprint layer offset: translate the mesh slightly down-right
       const mesh = new THREE.Mesh(geometry, material);
+      mesh.userData.ringIndex = r;
+      mesh.userData.layer = layer;
+      // Source positions, for renderers that do not read the GPU buffers
+      mesh.userData.points = ring;
       if (layerOffset) {
         mesh.position.set(layerOffset, -layerOffset, 0);
       }
@@ -321,77 +1402,642 @@ function createLineMeshes(rings, theme) {
   return group;
 }
 
-// Compute maximum vertex count across all rings for uniform animation
-function computeMaxVertices(rings) {
-  let maxVertices = 0;
-  for (const ring of rings) {
-    // ring is Float32Array [x,y,z, x,y,z,...]
-    maxVertices = Math.max(maxVertices, ring.length / 3);
+// Collect every ring or line of a geometry as an array of [lon, lat]
+// positions.  Polygons contribute their outer ring and holes; line
+// geometries from imported files are drawn as open outlines.
+function geometryRings(geometry) {
+  if (!geometry) return [];
+  switch (geometry.type) {
+    case 'Polygon':
+    case 'MultiLineString':
+      return geometry.coordinates;
+    case 'MultiPolygon':
+      return geometry.coordinates.flat();
+    case 'LineString':
+      return [geometry.coordinates];
+    case 'GeometryCollection':
+      return geometry.geometries.flatMap(geometryRings);
+    default:
+      return [];
   }
-  return maxVertices;
 }
 
-function drawCountry(feature) {
-  // Remove existing group and particles
-  if (state.lineGroup) {
-    state.scene.remove(state.lineGroup);
-    state.lineGroup = null;
+// Projections offered in the picker: every d3-geo projection.  Each
+// builder receives the selection's frame ({ lon, lat, parallels }, see
+// projectionFrame()) and centres itself on it where the projection
+// allows, so the selection never straddles the projection's seam.
+// Albers USA and Albers keep their fixed US parameters.
+const PROJECTIONS = {
+  albers: { name: 'Albers (US)', create: () => d3Geo.geoAlbers() },
+  albersUsa: { name: 'Albers USA', create: () => d3Geo.geoAlbersUsa() },
+  azimuthalEqualArea: {
+    name: 'Azimuthal equal-area',
+    create: (f) => d3Geo.geoAzimuthalEqualArea().rotate([-f.lon, -f.lat]),
+  },
+  azimuthalEquidistant: {
+    name: 'Azimuthal equidistant',
+    create: (f) => d3Geo.geoAzimuthalEquidistant().rotate([-f.lon, -f.lat]),
+  },
+  conicConformal: {
+    name: 'Conic conformal',
+    create: (f) => d3Geo.geoConicConformal().rotate([-f.lon, 0]).parallels(f.parallels),
+  },
+  conicEqualArea: {
+    name: 'Conic equal-area',
+    create: (f) => d3Geo.geoConicEqualArea().rotate([-f.lon, 0]).parallels(f.parallels),
+  },
+  conicEquidistant: {
+    name: 'Conic equidistant',
+    create: (f) => d3Geo.geoConicEquidistant().rotate([-f.lon, 0]).parallels(f.parallels),
+  },
+  equalEarth: { name: 'Equal Earth', create: (f) => d3Geo.geoEqualEarth().rotate([-f.lon, 0]) },
+  equirectangular: {
+    name: 'Equirectangular',
+    create: (f) => d3Geo.geoEquirectangular().rotate([-f.lon, 0]),
+  },
+  gnomonic: { name: 'Gnomonic', create: (f) => d3Geo.geoGnomonic().rotate([-f.lon, -f.lat]) },
+  mercator: { name: 'Mercator', create: (f) => d3Geo.geoMercator().rotate([-f.lon, 0]) },
+  naturalEarth1: {
+    name: 'Natural Earth',
+    create: (f) => d3Geo.geoNaturalEarth1().rotate([-f.lon, 0]),
+  },
+  orthographic: {
+    name: 'Orthographic',
+    create: (f) => d3Geo.geoOrthographic().rotate([-f.lon, -f.lat]),
+  },
+  stereographic: {
+    name: 'Stereographic',
+    create: (f) => d3Geo.geoStereographic().rotate([-f.lon, -f.lat]),
+  },
+  transverseMercator: {
+    name: 'Transverse Mercator',
+    create: (f) => d3Geo.geoTransverseMercator().rotate([-f.lon, -f.lat]),
+  },
+};
+
+// Centre, extent and conic standard parallels of a set of features.
+// geoBounds handles the antimeridian, so Fiji or Russia report their
+// true longitude span rather than most of the globe.  The parallels
+// follow the usual one-sixth rule: a sixth of the latitude span in
+// from either edge.
+function projectionFrame(features) {
+  const collection = { type: 'FeatureCollection', features };
+  const [lon, lat] = d3Geo.geoCentroid(collection);
+  const [[west, south], [east, north]] = d3Geo.geoBounds(collection);
+  const lonSpan = east >= west ? east - west : east - west + 360;
+  const latSpan = north - south;
+  return {
+    lon,
+    lat,
+    lonSpan,
+    latSpan,
+    south,
+    north,
+    parallels: [south + latSpan / 6, north - latSpan / 6],
+  };
+}
+
+// Choose a projection key for a frame, following the usual rules of
+// thumb: azimuthal for polar regions and for areas straddling the
+// equator, transverse Mercator for tall narrow shapes, Mercator near
+// the equator, and a conic conformal for the mid-latitudes.  Only
+// near-global selections fall back to Equal Earth.
+function autoProjectionKey(frame) {
+  if (frame.north > 89.9 || frame.south < -89.9) return 'azimuthalEqualArea';
+  if (frame.lonSpan > 200) return 'equalEarth';
+  const width = frame.lonSpan * Math.cos((frame.lat * Math.PI) / 180);
+  if (frame.latSpan > width * 1.5) return 'transverseMercator';
+  if (frame.south < 0 && frame.north > 0) {
+    return frame.latSpan < 30 ? 'mercator' : 'azimuthalEqualArea';
   }
-  if (state.particleSystem) {
-    state.scene.remove(state.particleSystem.points);
-    state.particleSystem = null;
+  if (Math.abs(frame.lat) < 15) return 'mercator';
+  return 'conicConformal';
+}
+
+// Projection for the features being drawn: the picker's choice, or
+// the automatic one when the picker is on "auto".  Records the key
+// actually used in state.projectionUsed.
+function chooseProjection(features, picked = state.projectionKey) {
+  const frame = projectionFrame(features);
+  const key = picked === 'auto' ? autoProjectionKey(frame) : picked;
+  state.projectionUsed = key;
+  return PROJECTIONS[key].create(frame);
+}
+
+// Show which projection "Automatic" resolved to
+function updateProjectionLabel() {
+  const select = state.projectionSelect;
+  if (!select) return;
+  const auto = select.querySelector('option[value="auto"]');
+  auto.textContent =
+    state.projectionKey === 'auto' && state.projectionUsed
+      ? 'Automatic (' + PROJECTIONS[state.projectionUsed].name + ')'
+      : 'Automatic';
+}
+
+// Ring sequencing modes.  'vertex' is the classic behaviour: every
+// ring advances one vertex per step, so dense rings draw slowly and
+// small islands finish at once.  'arclength' also draws all rings
+// together but at one constant speed along the line.  The remaining
+// modes draw ring by ring, each taking time in proportion to its
+// length: in source order, largest first, or largest first and then
+// always the nearest remaining ring.
+const RING_ORDERS = {
+  vertex: 'By vertex (classic)',
+  arclength: 'Together, by length',
+  sequential: 'Ring by ring',
+  largest: 'Largest first',
+  nearest: 'Nearest neighbour',
+};
+
+// Easing curves offered for the draw, mapped onto tween.js
+const EASINGS = {
+  linear: { name: 'Linear', fn: () => Tween.Easing.Linear.None },
+  sineInOut: { name: 'Sine in/out', fn: () => Tween.Easing.Sinusoidal.InOut },
+  quadInOut: { name: 'Quadratic in/out', fn: () => Tween.Easing.Quadratic.InOut },
+  cubicInOut: { name: 'Cubic in/out', fn: () => Tween.Easing.Cubic.InOut },
+  expoInOut: { name: 'Exponential in/out', fn: () => Tween.Easing.Exponential.InOut },
+  quartOut: { name: 'Quartic out', fn: () => Tween.Easing.Quartic.Out },
+  backOut: { name: 'Back out', fn: () => Tween.Easing.Back.Out },
+};
+
+// Cumulative arc length at each vertex of a ring (world units)
+function cumulativeLengths(ring) {
+  const n = ring.length / 3;
+  const cum = new Float32Array(n);
+  for (let i = 1; i < n; i++) {
+    const dx = ring[i * 3] - ring[(i - 1) * 3];
+    const dy = ring[i * 3 + 1] - ring[(i - 1) * 3 + 1];
+    cum[i] = cum[i - 1] + Math.hypot(dx, dy);
   }
-  state.currentCountry = feature;
-  const theme = THEMES[state.themeKey];
-  // Determine projection based on country.  Use Albers USA for
-  // United States, rotated equal‑earth for Russia, otherwise equal‑earth.
-  const iso3 = feature.id;
-  let projection;
-  if (iso3 === '840') {
-    // USA composite projection; approximated by d3.geoAlbersUsa
-    projection = d3Geo.geoAlbersUsa();
-  } else if (iso3 === '643') {
-    // Russia: rotate so Far East wraps around
-    projection = d3Geo.geoEqualEarth().rotate([100, 0]);
-  } else {
-    projection = d3Geo.geoEqualEarth();
+  return cum;
+}
+
+// Order ring indices for the sequential modes
+function orderRings(indices, rings, lengths, mode) {
+  if (mode === 'sequential') return indices;
+  const bySize = indices.slice().sort((a, b) => lengths[b] - lengths[a]);
+  if (mode === 'largest') return bySize;
+  // Nearest neighbour: start with the largest ring, then repeatedly
+  // continue with the ring whose start is closest to where the last
+  // one ended
+  const remaining = new Set(bySize.slice(1));
+  const ordered = [bySize[0]];
+  while (remaining.size) {
+    const last = rings[ordered[ordered.length - 1]];
+    const x = last[last.length - 3];
+    const y = last[last.length - 2];
+    let best = -1;
+    let bestDist = Infinity;
+    for (const r of remaining) {
+      const d = Math.hypot(rings[r][0] - x, rings[r][1] - y);
+      if (d < bestDist) {
+        bestDist = d;
+        best = r;
+      }
+    }
+    ordered.push(best);
+    remaining.delete(best);
   }
-  state.projection = projection;
-  // Project geometry coordinates into 2D and build rings array
-  // Each ring becomes a Float32Array of [x,y,0,...]
-  const rings = [];
-  // A feature may be MultiPolygon or Polygon
-  const coords = feature.geometry.coordinates;
-  const type = feature.geometry.type;
-  if (type === 'Polygon') {
-    // coords is array of rings
-    coords.forEach((ring) => {
-      const flat = [];
-      ring.forEach(([lon, lat]) => {
-        const [x, y] = projection([lon, lat]);
-        flat.push(x, y, 0);
-      });
-      rings.push(new Float32Array(flat));
-    });
-  } else if (type === 'MultiPolygon') {
-    coords.forEach((poly) => {
-      poly.forEach((ring) => {
-        const flat = [];
-        ring.forEach(([lon, lat]) => {
-          const [x, y] = projection([lon, lat]);
-          flat.push(x, y, 0);
-        });
-        rings.push(new Float32Array(flat));
-      });
+  return ordered;
+}
+
+// Give every ring a window [start, end] of the overall 0‥1 progress
+// during which it draws, plus the data ringDrawCount() needs to
+// reveal it.  With several features, featureMode 'sequential' gives
+// each feature a slot (equal unless slotWeights are given); otherwise
+// all rings share one slot.  Within a slot, ringOrder (see
+// RING_ORDERS) decides the timing.
+function computeRingWindows(rings, ringFeatures, featureCount, featureMode, ringOrder, slotWeights) {
+  const lengths = rings.map((ring) => {
+    const cum = cumulativeLengths(ring);
+    return cum[cum.length - 1];
+  });
+  const slots = featureMode === 'sequential' && featureCount > 1 ? featureCount : 1;
+  const weights = slotWeights || new Array(slots).fill(1 / slots);
+  const windows = new Array(rings.length);
+  let slotStart = 0;
+  for (let k = 0; k < slots; k++) {
+    const slotSize = weights[k];
+    if (k > 0) slotStart += weights[k - 1];
+    const members = [];
+    rings.forEach((ring, r) => {
+      if (slots === 1 || ringFeatures[r] === k) members.push(r);
     });
+    if (!members.length) continue;
+    if (ringOrder === 'vertex' || ringOrder === 'arclength') {
+      const byLength = ringOrder === 'arclength';
+      const measure = (r) => (byLength ? lengths[r] : rings[r].length / 3);
+      const max = Math.max(...members.map(measure)) || 1;
+      for (const r of members) {
+        windows[r] = {
+          start: slotStart,
+          end: slotStart + (slotSize * measure(r)) / max,
+          byLength,
+        };
+      }
+    } else {
+      const total = members.reduce((sum, r) => sum + lengths[r], 0) || 1;
+      let cum = 0;
+      for (const r of orderRings(members, rings, lengths, ringOrder)) {
+        windows[r] = {
+          start: slotStart + (slotSize * cum) / total,
+          end: slotStart + (slotSize * (cum + lengths[r])) / total,
+          byLength: true,
+        };
+        cum += lengths[r];
+      }
+    }
   }
-  // Compute bounding box
-  let minX = Infinity,
-    maxX = -Infinity,
-    minY = Infinity,
-    maxY = -Infinity;
-  for (const ring of rings) {
-    for (let i = 0; i < ring.length; i += 3) {
+  windows.forEach((w, r) => {
+    if (w.byLength) w.cumulative = cumulativeLengths(rings[r]);
+  });
+  return windows;
+}
+
+// Number of vertices of a ring revealed at the given overall progress
+function ringDrawCount(ring, window, progress) {
+  const span = window.end - window.start;
+  const local = span > 0 ? (progress - window.start) / span : progress >= window.start ? 1 : 0;
+  const t = Math.max(0, Math.min(1, local));
+  const n = ring.length / 3;
+  if (!window.byLength) {
+    return Math.floor(t * n);
+  }
+  if (t >= 1) return n;
+  // Binary search for the last vertex within the revealed length
+  const cum = window.cumulative;
+  const target = t * cum[n - 1];
+  let lo = 0;
+  let hi = n - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (cum[mid] <= target) lo = mid;
+    else hi = mid - 1;
+  }
+  return t > 0 ? lo + 1 : 0;
+}
+
+// MeshLine geometry is indexed with two triangles (six indices) per
+// segment, so a vertex count has to be converted before it can be
+// used as a draw range.
+function setMeshVertexCount(mesh, vertices) {
+  mesh.geometry.geometry.setDrawRange(0, Math.max(0, vertices - 1) * 6);
+}
+
+// Shape morphing between consecutive outlines.  Rings of the previous
+// outline are paired with the new ones largest to largest, resampled
+// by arc length to matching point counts and interpolated.  Surplus
+// new rings split off an arc of the nearest old ring; surplus old
+// rings collapse into the nearest point of the new outline.
+const MORPH_MAX_DURATION = 2500; // ms
+const MORPH_MAX_POINTS = 512; // per ring
+
+function isClosedRing(ring) {
+  const n = ring.length / 3;
+  return n > 2 && ring[0] === ring[(n - 1) * 3] && ring[1] === ring[(n - 1) * 3 + 1];
+}
+
+// Twice the signed area of a ring; the sign gives its winding
+function signedArea(ring) {
+  let area = 0;
+  const n = ring.length / 3;
+  for (let i = 0; i < n; i++) {
+    const j = (i + 1) % n;
+    area += ring[i * 3] * ring[j * 3 + 1] - ring[j * 3] * ring[i * 3 + 1];
+  }
+  return area;
+}
+
+function reverseRing(ring) {
+  const n = ring.length / 3;
+  const out = new Float32Array(ring.length);
+  for (let i = 0; i < n; i++) {
+    out.set(ring.subarray((n - 1 - i) * 3, (n - i) * 3), i * 3);
+  }
+  return out;
+}
+
+// Vertex of a ring nearest to (x, y)
+function nearestVertex(ring, x, y) {
+  let best = 0;
+  let bestDistance = Infinity;
+  for (let i = 0; i < ring.length; i += 3) {
+    const d = (ring[i] - x) ** 2 + (ring[i + 1] - y) ** 2;
+    if (d < bestDistance) {
+      bestDistance = d;
+      best = i / 3;
+    }
+  }
+  return best;
+}
+
+function ringCentre(ring) {
+  let x = 0;
+  let y = 0;
+  const n = ring.length / 3;
+  for (let i = 0; i < n; i++) {
+    x += ring[i * 3];
+    y += ring[i * 3 + 1];
+  }
+  return [x / n, y / n];
+}
+
+// `count` points spaced evenly along `span` of a ring's length,
+// starting at length `start`.  Closed rings wrap around.
+function resampleRange(ring, start, span, count) {
+  const cum = cumulativeLengths(ring);
+  const n = cum.length;
+  const total = cum[n - 1];
+  const closed = isClosedRing(ring);
+  const out = new Float32Array(count * 3);
+  let j = 0;
+  for (let i = 0; i < count; i++) {
+    let s = start + (count > 1 ? (span * i) / (count - 1) : 0);
+    s = closed && total > 0 ? ((s % total) + total) % total : Math.min(Math.max(s, 0), total);
+    // Segments are walked forwards, restarting after a wrap
+    if (j > 0 && cum[j] > s) j = 0;
+    while (j < n - 2 && cum[j + 1] < s) j++;
+    const length = cum[j + 1] - cum[j];
+    const t = length > 0 ? (s - cum[j]) / length : 0;
+    for (let k = 0; k < 3; k++) {
+      out[i * 3 + k] = ring[j * 3 + k] + (ring[(j + 1) * 3 + k] - ring[j * 3 + k]) * t;
+    }
+  }
+  return out;
+}
+
+function ringLength(ring) {
+  const cum = cumulativeLengths(ring);
+  return cum[cum.length - 1];
+}
+
+function morphPointCount(a, b) {
+  return Math.max(8, Math.min(MORPH_MAX_POINTS, Math.max(a.length, b.length) / 3));
+}
+
+// Pair the rings of two outlines and resample each pair to a common
+// point count.  Returns [{ from, to }] with equal-length arrays.
+function planMorph(fromRings, toRings) {
+  const bySize = (rings) =>
+    rings
+      .filter((ring) => ring.length >= 6)
+      .map((ring) => ({ ring, length: ringLength(ring) }))
+      .sort((a, b) => b.length - a.length);
+  const from = bySize(fromRings);
+  const to = bySize(toRings);
+  const shared = Math.min(from.length, to.length);
+  const pairs = [];
+  for (let i = 0; i < shared; i++) {
+    const a = from[i].ring;
+    let b = to[i].ring;
+    const count = morphPointCount(a, b);
+    const source = resampleRange(a, 0, from[i].length, count);
+    if (isClosedRing(a) && isClosedRing(b)) {
+      // Match winding, then start the target where the source starts
+      // so the shape does not twist on the way
+      if (Math.sign(signedArea(a)) !== Math.sign(signedArea(b))) b = reverseRing(b);
+      const cum = cumulativeLengths(b);
+      const start = cum[nearestVertex(b, source[0], source[1])];
+      pairs.push({ from: source, to: resampleRange(b, start, to[i].length, count) });
+    } else {
+      pairs.push({ from: source, to: resampleRange(b, 0, to[i].length, count) });
+    }
+  }
+  const nearestRing = (entries, x, y) => {
+    let best = entries[0];
+    let bestDistance = Infinity;
+    for (const entry of entries.slice(0, shared)) {
+      const [cx, cy] = ringCentre(entry.ring);
+      const d = (cx - x) ** 2 + (cy - y) ** 2;
+      if (d < bestDistance) {
+        bestDistance = d;
+        best = entry;
+      }
+    }
+    return best;
+  };
+  // Split: each extra new ring peels off an arc of the nearest old ring
+  for (const entry of to.slice(shared)) {
+    const [x, y] = ringCentre(entry.ring);
+    const parent = nearestRing(from, x, y);
+    const count = morphPointCount(entry.ring, entry.ring);
+    const cum = cumulativeLengths(parent.ring);
+    const span = Math.min(entry.length, parent.length / 2);
+    const start = cum[nearestVertex(parent.ring, x, y)] - span / 2;
+    pairs.push({
+      from: resampleRange(parent.ring, start, span, count),
+      to: resampleRange(entry.ring, 0, entry.length, count),
+    });
+  }
+  // Collapse: each extra old ring shrinks into the nearest point of
+  // the new outline
+  for (const entry of from.slice(shared)) {
+    const [x, y] = ringCentre(entry.ring);
+    const target = nearestRing(to, x, y).ring;
+    const v = nearestVertex(target, x, y);
+    const count = morphPointCount(entry.ring, entry.ring);
+    const point = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+      point.set(target.subarray(v * 3, v * 3 + 3), i * 3);
+    }
+    pairs.push({ from: resampleRange(entry.ring, 0, entry.length, count), to: point });
+  }
+  return pairs;
+}
+
+// Morph from one set of fitted rings to another using the theme's line
+// layers, then call `onDone`.  Returns the tween.
+function morphOutline(fromRings, toRings, theme, onDone) {
+  const pairs = planMorph(fromRings, toRings);
+  const current = pairs.map((pair) => new Float32Array(pair.from));
+  const group = createLineMeshes(current, theme);
+  state.morphGroup = group;
+  state.scene.add(group);
+  const applyMorph = (t) => {
+    pairs.forEach((pair, r) => {
+      const ring = current[r];
+      for (let i = 0; i < ring.length; i++) {
+        ring[i] = pair.from[i] + (pair.to[i] - pair.from[i]) * t;
+      }
+    });
+    group.children.forEach((mesh) => {
+      const ring = current[mesh.userData.ringIndex];
+      mesh.geometry.setPoints(ring);
+      setMeshVertexCount(mesh, ring.length / 3);
+    });
+  };
+  applyMorph(0);
+  const params = { t: 0 };
+  return new Tween.Tween(params)
+    .to({ t: 1 }, Math.min(state.animationDuration, MORPH_MAX_DURATION))
+    .easing(Tween.Easing.Cubic.InOut)
+    .onUpdate(() => applyMorph(params.t))
+    .onComplete(() => {
+      clearMorph();
+      onDone();
+    })
+    .start();
+}
+
+function clearMorph() {
+  if (state.morphGroup) {
+    state.scene.remove(state.morphGroup);
+    state.morphGroup = null;
+  }
+}
+
+// Inset layout for far-flung territories.  Polygons are clustered
+// around the largest one: a polygon joins the mainland cluster when
+// the gap between it and the cluster's projected bounding box is
+// small relative to the cluster's size.  Whatever is left over (French
+// Guiana, Svalbard, …) is grouped the same way and drawn in framed
+// inset boxes with its own projection and scale.  Clusters too large
+// to be a mere outlier (East Malaysia, Java) stay with the mainland.
+const INSET_GAP_RATIO = 0.12; // max gap as a fraction of the cluster diagonal
+const INSET_MAX_AREA_RATIO = 0.35; // max inset area relative to the mainland
+const INSET_STRIP_RATIO = 0.26; // share of the view reserved for insets
+const MAX_INSETS = 4;
+
+// Projected bounding box [minX, minY, maxX, maxY] of a polygon's outer ring
+function projectedBounds(polygon, projection) {
+  const b = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const lonLat of polygon[0]) {
+    const p = projection(lonLat);
+    if (!p) continue;
+    if (p[0] < b[0]) b[0] = p[0];
+    if (p[1] < b[1]) b[1] = p[1];
+    if (p[0] > b[2]) b[2] = p[0];
+    if (p[1] > b[3]) b[3] = p[1];
+  }
+  return b;
+}
+
+function boundsGap(a, b) {
+  const dx = Math.max(0, a[0] - b[2], b[0] - a[2]);
+  const dy = Math.max(0, a[1] - b[3], b[1] - a[3]);
+  return Math.hypot(dx, dy);
+}
+
+// Grow a cluster from `seed` by absorbing nearby polygons.  Removes
+// absorbed entries from `pool` and returns the cluster's members.
+function growCluster(seed, pool) {
+  const members = [seed];
+  const bounds = seed.bounds.slice();
+  let grew = true;
+  while (grew) {
+    grew = false;
+    const diagonal = Math.hypot(bounds[2] - bounds[0], bounds[3] - bounds[1]);
+    for (let i = pool.length - 1; i >= 0; i--) {
+      const entry = pool[i];
+      if (boundsGap(bounds, entry.bounds) <= diagonal * INSET_GAP_RATIO) {
+        members.push(entry);
+        pool.splice(i, 1);
+        bounds[0] = Math.min(bounds[0], entry.bounds[0]);
+        bounds[1] = Math.min(bounds[1], entry.bounds[1]);
+        bounds[2] = Math.max(bounds[2], entry.bounds[2]);
+        bounds[3] = Math.max(bounds[3], entry.bounds[3]);
+        grew = true;
+      }
+    }
+  }
+  return members;
+}
+
+function polygonsFeature(polygons) {
+  return {
+    type: 'Feature',
+    properties: {},
+    geometry: { type: 'MultiPolygon', coordinates: polygons },
+  };
+}
+
+// Split a feature into its mainland and inset clusters and lay out
+// boxes (world units: origin at the view centre, y up) for each.
+// Returns null when the feature has no far-flung parts.
+function planInsetLayout(feature, projection, width, height) {
+  const geometry = feature.geometry;
+  if (!geometry || geometry.type !== 'MultiPolygon' || geometry.coordinates.length < 2) {
+    return null;
+  }
+  const pool = geometry.coordinates
+    .map((polygon) => ({
+      polygon,
+      area: d3Geo.geoArea({ type: 'Polygon', coordinates: polygon }),
+      bounds: projectedBounds(polygon, projection),
+    }))
+    .filter((entry) => isFinite(entry.bounds[0]))
+    .sort((a, b) => b.area - a.area);
+  if (pool.length < 2) return null;
+  const mainland = growCluster(pool.shift(), pool);
+  if (!pool.length) return null;
+  const mainlandArea = mainland.reduce((sum, m) => sum + m.area, 0);
+  const clusters = [];
+  while (pool.length) {
+    const cluster = growCluster(pool.shift(), pool);
+    const area = cluster.reduce((sum, m) => sum + m.area, 0);
+    if (area > mainlandArea * INSET_MAX_AREA_RATIO || clusters.length >= MAX_INSETS) {
+      // Too big to be an outlier, or out of inset slots
+      mainland.push(...cluster);
+    } else {
+      clusters.push(cluster);
+    }
+  }
+  if (!clusters.length) return null;
+  // Reserve a strip along the longer side of the view
+  const landscape = width >= height;
+  const strip = Math.round((landscape ? width : height) * INSET_STRIP_RATIO);
+  const count = clusters.length;
+  const mainBox = landscape
+    ? { cx: -strip / 2, cy: 0, width: width - strip, height }
+    : { cx: 0, cy: strip / 2, width, height: height - strip };
+  const insets = clusters.map((members, i) => {
+    const size = (landscape ? height : width) / count;
+    const box = landscape
+      ? { cx: width / 2 - strip / 2, cy: height / 2 - size * (i + 0.5), width: strip, height: size }
+      : { cx: -width / 2 + size * (i + 0.5), cy: -height / 2 + strip / 2, width: size, height: strip };
+    const shape = polygonsFeature(members.map((m) => m.polygon));
+    const [lon, lat] = d3Geo.geoCentroid(shape);
+    return {
+      feature: shape,
+      box,
+      // Equal-area azimuthal centred on the inset keeps small, remote
+      // territories undistorted whatever the mainland projection is
+      projection: d3Geo.geoAzimuthalEqualArea().rotate([-lon, -lat]),
+    };
+  });
+  return {
+    mainFeature: polygonsFeature(mainland.map((m) => m.polygon)),
+    mainBox,
+    insets,
+  };
+}
+
+// Project [lon, lat] rings into flat [x,y,0,...] arrays, skipping
+// vertices outside the projection's domain (Albers USA returns null
+// there) and rings left with fewer than two vertices
+function projectRings(lonLatRings, projection) {
+  const rings = [];
+  for (const ring of lonLatRings) {
+    const flat = [];
+    for (const lonLat of ring) {
+      const point = projection(lonLat);
+      if (point) flat.push(point[0], point[1], 0);
+    }
+    if (flat.length >= 6) rings.push(new Float32Array(flat));
+  }
+  return rings;
+}
+
+// Scale and offset that fit projected rings into a box (world units,
+// centred on box.cx/box.cy), leaving `margin` pixels on every side
+function computeFit(rings, box, margin) {
+  let minX = Infinity,
+    maxX = -Infinity,
+    minY = Infinity,
+    maxY = -Infinity;
+  for (const ring of rings) {
+    for (let i = 0; i < ring.length; i += 3) {
       const x = ring[i];
       const y = ring[i + 1];
       if (x < minX) minX = x;
@@ -400,124 +2046,3983 @@ function drawCountry(feature) {
       if (y > maxY) maxY = y;
     }
   }
-  // Compute scale and offset to fit within view
-  const container = document.getElementById('canvasContainer');
-  const margin = 20; // pixels
-  const width = container.clientWidth;
-  const height = container.clientHeight;
-  // Determine scaling factor based on bounding box extents vs. container size
-  const dataWidth = maxX - minX;
-  const dataHeight = maxY - minY;
-  const scaleX = (width - margin * 2) / dataWidth;
-  const scaleY = (height - margin * 2) / dataHeight;
-  const scale = Math.min(scaleX, scaleY);
-  // Offset to centre geometry
-  const offsetX = -((minX + maxX) / 2);
-  const offsetY = -((minY + maxY) / 2);
-  // Apply transformation to rings (copy to new arrays to avoid reusing original)
-  const transformedRings = [];
-  for (const ring of rings) {
-    const coords = new Float32Array(ring.length);
-    for (let i = 0; i < ring.length; i += 3) {
-      const x = (ring[i] + offsetX) * scale;
-      const y = (ring[i + 1] + offsetY) * scale;
-      coords[i] = x;
-      coords[i + 1] = y;
-      coords[i + 2] = 0;
+  // Determine scaling factor based on bounding box extents vs. box size
+  const scaleX = (box.width - margin * 2) / (maxX - minX || 1);
+  const scaleY = (box.height - margin * 2) / (maxY - minY || 1);
+  return {
+    scale: Math.min(scaleX, scaleY),
+    // Offset to centre geometry
+    offsetX: -((minX + maxX) / 2),
+    offsetY: -((minY + maxY) / 2),
+    cx: box.cx,
+    cy: box.cy,
+  };
+}
+
+// Apply a fit to projected rings (copy to new arrays to avoid reusing
+// the originals)
+function applyFit(rings, fit) {
+  return rings.map((ring) => {
+    const coords = new Float32Array(ring.length);
+    for (let i = 0; i < ring.length; i += 3) {
+      coords[i] = (ring[i] + fit.offsetX) * fit.scale + fit.cx;
+      coords[i + 1] = (ring[i + 1] + fit.offsetY) * fit.scale + fit.cy;
+      coords[i + 2] = 0;
+    }
+    return coords;
+  });
+}
+
+// Rectangle outline, inset a few pixels into its box, as a closed ring
+function frameRing(box, inset) {
+  const x0 = box.cx - box.width / 2 + inset;
+  const x1 = box.cx + box.width / 2 - inset;
+  const y0 = box.cy - box.height / 2 + inset;
+  const y1 = box.cy + box.height / 2 - inset;
+  return new Float32Array([x0, y0, 0, x1, y0, 0, x1, y1, 0, x0, y1, 0, x0, y0, 0]);
+}
+
+function clearInsetFrames() {
+  if (state.insetFrameGroup) {
+    state.scene.remove(state.insetFrameGroup);
+    state.insetFrameGroup = null;
+  }
+  state.insetFrames = [];
+  state.insets = [];
+  state.insetMainland = null;
+}
+
+// Globe view.  The sphere, graticule and world coastlines sit in a
+// group that is rotated so the point of interest faces the camera.
+// Outlines are placed on the sphere in world coordinates for the
+// rotation they are drawn at, floating just above the surface; lines
+// on the far side are hidden by the depth buffer of the sphere, which
+// is filled with the theme background.
+const GLOBE_LIFT = 1.002;
+const DEGREES = Math.PI / 180;
+
+// Position on a sphere of the given radius for [lon, lat], with
+// [0, 0] facing the camera and north up.  `rotation` (a THREE.Euler)
+// turns the sphere first.
+function globeVector(lon, lat, radius, rotation) {
+  const phi = lat * DEGREES;
+  const lambda = lon * DEGREES;
+  const v = new THREE.Vector3(
+    Math.cos(phi) * Math.sin(lambda),
+    Math.sin(phi),
+    Math.cos(phi) * Math.cos(lambda)
+  ).multiplyScalar(radius);
+  return rotation ? v.applyEuler(rotation) : v;
+}
+
+// Rotation that brings `centre` ([lon, lat]) to face the camera
+function globeRotation(centre) {
+  return new THREE.Euler(centre[1] * DEGREES, -centre[0] * DEGREES, 0);
+}
+
+// Place [lon, lat] rings on the globe as flat [x,y,z,...] arrays
+function globeRings(lonLatRings, radius, rotation) {
+  return lonLatRings
+    .filter((ring) => ring.length >= 2)
+    .map((ring) => {
+      const coords = new Float32Array(ring.length * 3);
+      ring.forEach(([lon, lat], i) => {
+        const v = globeVector(lon, lat, radius * GLOBE_LIFT, rotation);
+        coords[i * 3] = v.x;
+        coords[i * 3 + 1] = v.y;
+        coords[i * 3 + 2] = v.z;
+      });
+      return coords;
+    });
+}
+
+// Point the globe at [lon, lat].  The matching orthographic d3
+// projection (y flipped to the world's y-up) serves picking, fitPoint
+// and the secondary layers.
+function setGlobeCentre(centre) {
+  const globe = state.globe;
+  globe.centre = centre;
+  globe.spin.rotation.copy(globeRotation(centre));
+  state.projection = d3Geo
+    .geoOrthographic()
+    .rotate([-centre[0], -centre[1]])
+    .scale(globe.radius * GLOBE_LIFT)
+    .translate([0, 0])
+    .reflectY(true);
+  state.fit = { scale: 1, offsetX: 0, offsetY: 0, cx: 0, cy: 0 };
+}
+
+// Centre of a selection on the sphere
+function selectionCentre(features) {
+  return d3Geo.geoCentroid({ type: 'FeatureCollection', features });
+}
+
+function clearGlobe() {
+  if (state.globeTween) {
+    state.globeTween.stop();
+    state.globeTween = null;
+  }
+  if (state.globe) {
+    state.scene.remove(state.globe.root);
+    state.globe = null;
+  }
+}
+
+// Build the globe for the current view size and theme, or keep the
+// existing one if neither has changed.  The camera faces the same
+// point as before a rebuild.
+function ensureGlobe() {
+  const container = document.getElementById('canvasContainer');
+  const width = container.clientWidth;
+  const height = container.clientHeight;
+  const radius = Math.min(width, height) / 2 - 20;
+  const previous = state.globe;
+  if (previous && previous.radius === radius && previous.themeKey === state.themeKey) return;
+  const centre = previous ? previous.centre : [0, 0];
+  if (previous) {
+    state.scene.remove(previous.root);
+  }
+  const theme = THEMES[state.themeKey];
+  const root = new THREE.Group();
+  const spin = new THREE.Group();
+  root.add(spin);
+  // Opaque sphere a little inside the lines so it hides the far side
+  // without clipping the limb
+  const sphere = new THREE.Mesh(
+    new THREE.SphereGeometry(radius * 0.995, 64, 48),
+    new THREE.MeshBasicMaterial({ color: theme.background })
+  );
+  spin.add(sphere);
+  const graticule = geometryRings(d3Geo.geoGraticule10());
+  spin.add(
+    createStaticLines(globeRings(graticule, radius), {
+      color: theme.colors[0],
+      width: 1,
+      opacity: 0.12,
+    })
+  );
+  const land = topojson.mesh(state.world, state.world.objects.countries);
+  spin.add(
+    createStaticLines(globeRings(geometryRings(land), radius), {
+      color: theme.colors[0],
+      width: 1,
+      opacity: 0.3,
+    })
+  );
+  // The limb stays put while the sphere turns inside it
+  const limb = new Float32Array(129 * 3);
+  for (let i = 0; i <= 128; i++) {
+    const angle = (i / 128) * Math.PI * 2;
+    limb[i * 3] = Math.cos(angle) * radius;
+    limb[i * 3 + 1] = Math.sin(angle) * radius;
+  }
+  root.add(createStaticLines([limb], { color: theme.colors[0], width: 1.5, opacity: 0.5 }));
+  state.globe = { root, spin, radius, centre, themeKey: state.themeKey };
+  state.scene.add(root);
+  setGlobeCentre(centre);
+  setCameraView(width, height);
+}
+
+// Turn the globe along the great circle to `target`, then call
+// `onArrive`.  The flight takes longer the further it goes.  Without
+// animation (or during frame export) the globe jumps straight there.
+function flyGlobeTo(target, onArrive) {
+  if (state.globeTween) {
+    state.globeTween.stop();
+    state.globeTween = null;
+  }
+  const distance = d3Geo.geoDistance(state.globe.centre, target);
+  if (!state.animating || state.exporting || distance < 1e-3) {
+    setGlobeCentre(target);
+    onArrive();
+    return;
+  }
+  const interpolate = d3Geo.geoInterpolate(state.globe.centre, target);
+  const params = { t: 0 };
+  state.globeTween = new Tween.Tween(params)
+    .to({ t: 1 }, 600 + (1400 * distance) / Math.PI)
+    .easing(Tween.Easing.Sinusoidal.InOut)
+    .onUpdate(() => setGlobeCentre(interpolate(params.t)))
+    .onComplete(() => {
+      state.globeTween = null;
+      setGlobeCentre(target);
+      onArrive();
+    })
+    .start();
+}
+
+// Globe geometry for the selection, in the same shape as
+// flatOutlineGeometry().  No insets: the globe shows everything in
+// place.
+function globeOutlineGeometry(features) {
+  const globe = state.globe;
+  const rotation = globeRotation(globe.centre);
+  const rings = [];
+  const ringFeatures = [];
+  features.forEach((feature, k) => {
+    for (const ring of globeRings(geometryRings(feature.geometry), globe.radius, rotation)) {
+      rings.push(ring);
+      ringFeatures.push(k);
+    }
+  });
+  return {
+    projection: state.projection,
+    fit: state.fit,
+    rings,
+    ringFeatures,
+    insetFrames: [],
+    insets: [],
+    mainland: null,
+    slots: { count: features.length, mode: state.sequenceMode },
+  };
+}
+
+// Switch between the flat map and the globe
+function setViewMode(mode) {
+  state.viewMode = mode;
+  if (mode === 'globe') {
+    ensureGlobe();
+  } else {
+    clearGlobe();
+  }
+  if (state.selection.length) {
+    redraw();
+  } else {
+    render();
+  }
+}
+
+// Remove the current outline, particles and tween from the scene
+function clearOutline() {
+  if (state.lineGroup) {
+    state.scene.remove(state.lineGroup);
+    state.lineGroup = null;
+  }
+  if (state.particleSystem) {
+    state.scene.remove(state.particleSystem.points);
+    state.particleSystem = null;
+  }
+  if (state.animationTween) {
+    state.animationTween.stop();
+    state.animationTween = null;
+  }
+  if (state.globeTween) {
+    state.globeTween.stop();
+    state.globeTween = null;
+  }
+  if (state.morphTween) {
+    state.morphTween.stop();
+    state.morphTween = null;
+  }
+  clearMorph();
+  clearSubdivisionLayer();
+  clearContextLayers();
+  clearInsetFrames();
+  clearFill();
+  clearAnnotations();
+}
+
+// Label for a selection: the group name if one was chosen, otherwise
+// the feature names (abbreviated for long lists).
+function selectionLabel(features) {
+  const names = features.map((f) => (f.properties && f.properties.name) || String(f.id));
+  if (names.length <= 3) return names.join(', ');
+  return names.slice(0, 3).join(', ') + ' +' + (names.length - 3);
+}
+
+// Redraw the current selection, e.g. after a theme or timing change
+function redraw() {
+  if (state.selection.length) {
+    drawFeatures(state.selection, state.selectionLabel, state.selectionRegion);
+  }
+}
+
+// Draw one or more features in a shared projection and fit.  With
+// several features, state.sequenceMode decides whether they draw all
+// at once or one after another.  In globe view the globe first turns
+// to the selection.  `region` is the region picker value the features
+// came from, if any, so links can name the region.
+function drawFeatures(features, label, region) {
+  const changed = !isCurrentSelection(features);
+  const morphFrom = changed ? morphSource() : null;
+  // Remove existing group and particles
+  clearOutline();
+  state.selection = features;
+  state.selectionLabel = label || selectionLabel(features);
+  state.selectionRegion = region || null;
+  state.currentCountry = features[0];
+  // The region picker shows the drawn region only, so picking the same
+  // region after a country still fires a change
+  state.regionSelect.value = state.selectionRegion || '';
+  // Callouts belong to the outline they were placed on
+  if (changed) {
+    state.callouts = [];
+    if (state.pendingCallout) finishCallout(false);
+  }
+  renderSelectionChips();
+  updateStatsPanel();
+  // Redraws for setting changes leave the URL to the setting handlers
+  if (changed) syncUrl();
+  if (state.viewMode === 'globe') {
+    ensureGlobe();
+    flyGlobeTo(selectionCentre(features), () => drawOutline(features));
+  } else {
+    drawOutline(features, morphFrom);
+  }
+}
+
+function isCurrentSelection(features) {
+  return (
+    features.length === state.selection.length && features.every((f, i) => f === state.selection[i])
+  );
+}
+
+// Rings to morph from when a new selection replaces the current
+// outline, or null for a plain draw.  Morphing needs an animated flat
+// outline; the globe has its own fly-to transition and frame export
+// always draws from scratch.
+function morphSource() {
+  if (!state.morph || !state.outlineRings || !state.outlineRings.length) return null;
+  if (!state.animating || state.exporting || state.viewMode !== 'flat') return null;
+  return state.outlineRings;
+}
+
+// Flat map geometry: projection, inset layout and fit of the selection.
+// Returns the projection and fit, the fitted rings with the slot each
+// belongs to, the inset frames and how the slots are timed.
+function flatOutlineGeometry(features, width, height) {
+  const margin = 20; // pixels
+  let picked = state.projectionKey;
+  let projection = chooseProjection(features, picked);
+  // A picked projection may not cover the selection at all (Albers
+  // USA outside the US), which would leave nothing to draw
+  if (!features.some((f) => projectRings(geometryRings(f.geometry), projection).length)) {
+    const name = PROJECTIONS[state.projectionUsed].name;
+    picked = 'auto';
+    projection = chooseProjection(features, picked);
+    showStatus(name + ' cannot show this selection, so the automatic projection is used.', 'info');
+  }
+  // Far-flung parts of a single country go into inset boxes; the
+  // mainland is then fitted to what is left of the view
+  const layout =
+    state.showInsets && features.length === 1
+      ? planInsetLayout(features[0], projection, width, height)
+      : null;
+  // With the overseas parts moved out, the automatic projection is
+  // chosen again for the mainland alone
+  if (layout && picked === 'auto') {
+    projection = chooseProjection([layout.mainFeature], picked);
+  }
+  const mainFeatures = layout ? [layout.mainFeature] : features;
+  const box = layout ? layout.mainBox : { cx: 0, cy: 0, width, height };
+  // Project geometry coordinates into 2D and build rings array.
+  // Each ring becomes a Float32Array of [x,y,0,...]; ringFeatures
+  // records which feature each ring belongs to.
+  const rings = [];
+  const ringFeatures = [];
+  mainFeatures.forEach((feature, k) => {
+    for (const ring of projectRings(geometryRings(feature.geometry), projection)) {
+      rings.push(ring);
+      ringFeatures.push(k);
+    }
+  });
+  // One shared scale and offset so all features keep their relative
+  // positions and sizes
+  const fit = computeFit(rings, box, margin);
+  const transformedRings = applyFit(rings, fit);
+  // Inset rings follow the mainland as a second slot of the draw
+  const insetFrames = [];
+  const insets = [];
+  if (layout) {
+    for (const inset of layout.insets) {
+      const insetRings = projectRings(geometryRings(inset.feature.geometry), inset.projection);
+      const insetFit = computeFit(insetRings, inset.box, 12);
+      for (const ring of applyFit(insetRings, insetFit)) {
+        transformedRings.push(ring);
+        ringFeatures.push(1);
+      }
+      insetFrames.push(inset.box);
+      insets.push({
+        feature: inset.feature,
+        bounds: d3Geo.geoBounds(inset.feature),
+        box: inset.box,
+        projection: inset.projection,
+        fit: insetFit,
+      });
+    }
+  }
+  // With insets the mainland gets most of the time and the insets
+  // draw afterwards in a shorter second slot
+  const slots = layout
+    ? { count: 2, mode: 'sequential', weights: [0.8, 0.2] }
+    : { count: features.length, mode: state.sequenceMode };
+  return {
+    projection,
+    fit,
+    rings: transformedRings,
+    ringFeatures,
+    insetFrames,
+    insets,
+    mainland: layout ? layout.mainFeature : null,
+    slots,
+  };
+}
+
+// Build and animate the outline of the selection in the current view.
+// With `morphFrom` rings the previous outline morphs into the new one
+// instead of the new one drawing from nothing.
+function drawOutline(features, morphFrom) {
+  const theme = THEMES[state.themeKey];
+  const container = document.getElementById('canvasContainer');
+  const width = container.clientWidth;
+  const height = container.clientHeight;
+  const outline =
+    state.viewMode === 'globe'
+      ? globeOutlineGeometry(features)
+      : flatOutlineGeometry(features, width, height);
+  const { rings: transformedRings, ringFeatures, insetFrames, slots } = outline;
+  state.projection = outline.projection;
+  updateProjectionLabel();
+  setCameraView(width, height);
+  // Keep the fitted rings, the fit itself and the view they were
+  // fitted to so exporters and secondary layers can reproduce exactly
+  // what is on screen.
+  state.fit = outline.fit;
+  state.outlineRings = transformedRings;
+  state.viewSize = { width, height };
+  // Frames around the inset boxes
+  state.insetFrames = insetFrames;
+  state.insets = outline.insets;
+  state.insetMainland = outline.mainland;
+  if (insetFrames.length) {
+    const frames = createStaticLines(
+      insetFrames.map((b) => frameRing(b, 4)),
+      { color: theme.colors[0], width: 1, opacity: 0.35 }
+    );
+    state.insetFrameGroup = frames;
+    state.scene.add(frames);
+  }
+  // Neighbouring countries sit faintly behind the outline
+  if (state.showContext) {
+    showContextLayer();
+  }
+  // Build line meshes according to theme
+  const group = createLineMeshes(transformedRings, theme);
+  state.lineGroup = group;
+  state.scene.add(group);
+  // Build particle system if theme defines one
+  if (theme.particle) {
+    state.particleSystem = new ParticleSystem(state.scene, theme.particle, state.random);
+  }
+  const windows = computeRingWindows(
+    transformedRings,
+    ringFeatures,
+    slots.count,
+    slots.mode,
+    state.ringOrder,
+    slots.weights
+  );
+  // Reveal every ring up to the given progress and spawn particles at
+  // the head of every ring that is still drawing.  The theme's rate is
+  // shared between the heads, each getting at least one particle.
+  const applyProgress = (progress) => {
+    const counts = transformedRings.map((ring, r) => ringDrawCount(ring, windows[r], progress));
+    group.children.forEach((mesh) => {
+      setMeshVertexCount(mesh, counts[mesh.userData.ringIndex]);
+    });
+    if (state.particleSystem && state.animating && progress < 1) {
+      const heads = [];
+      counts.forEach((count, r) => {
+        if (count > 0 && count < transformedRings[r].length / 3) heads.push(r);
+      });
+      const perHead = Math.max(1, Math.round(state.particleSystem.params.rate / heads.length));
+      for (const r of heads) {
+        const ring = transformedRings[r];
+        const idx = counts[r] - 1;
+        state.particleSystem.spawn(ring[idx * 3], ring[idx * 3 + 1], perHead, ring[idx * 3 + 2]);
+      }
+    }
+  };
+  // Duration in ms
+  const duration = state.animationDuration;
+  // Prepare tween value.  The tween runs on the transport's clock (see
+  // advancePlayback), not on Tween.update().
+  const params = { progress: 0 };
+  const tween = new Tween.Tween(params, DRAW_TWEENS)
+    .to({ progress: 1 }, duration)
+    .easing(EASINGS[state.easing].fn())
+    .onUpdate(() => applyProgress(params.progress))
+    // After the outline is fully drawn, ensure draw ranges are full
+    .onComplete(() => {
+      applyProgress(1);
+      onOutlineComplete();
+    });
+  state.animationTween = tween;
+  if (morphFrom) {
+    // The draw tween waits at its end, so the timeline can replay it
+    state.playback.time = duration;
+    state.morphTween = morphOutline(morphFrom, transformedRings, theme, () => {
+      applyProgress(1);
+      onOutlineComplete();
+    });
+  } else if (state.animating) {
+    // Start animation only if animating flag is true
+    startPlayback();
+  } else {
+    // Immediately render full
+    state.playback.time = duration;
+    state.playback.direction = 1;
+    applyProgress(1);
+    onOutlineComplete();
+  }
+  updateTransportUI();
+  render();
+}
+
+// Adjust camera frustum to match container dims.  We set the
+// orthographic bounds equal to half of container size in world units
+// (scale implicitly maps world coords into pixel space).  We choose
+// symmetrical bounds around zero.  Because we scaled the data to
+// fill [-(width/2-margin), (width/2-margin)] etc, we can simply
+// set camera left/right to ± width/2 and top/bottom to ± height/2.
+// The depth range covers the globe, whose radius is at most half the
+// view.
+function setCameraView(width, height) {
+  const depth = Math.max(width, height);
+  state.camera.left = -width / 2;
+  state.camera.right = width / 2;
+  state.camera.top = height / 2;
+  state.camera.bottom = -height / 2;
+  state.camera.near = -depth;
+  state.camera.far = depth;
+  state.camera.updateProjectionMatrix();
+}
+
+// Playback transport.  The draw tween runs on a virtual clock owned by
+// state.playback rather than on Tween.update(), so it can be paused,
+// scrubbed, looped, played back and forth and sped up without
+// rebuilding any geometry.  tween.js cannot step a finished tween
+// backwards, so seeking into a finished draw restarts the tween first.
+const DRAW_TWEENS = new Tween.Group();
+const PLAYBACK_MODES = { once: 'Once', loop: 'Loop', pingpong: 'Ping-pong' };
+const PLAYBACK_RATES = { 0.25: '0.25×', 0.5: '0.5×', 1: '1×', 2: '2×', 4: '4×' };
+// Pause on the finished outline before a loop restarts or a ping-pong
+// starts erasing
+const PLAYBACK_HOLD_MS = 1000;
+
+// Start the current draw from the beginning
+function startPlayback() {
+  const playback = state.playback;
+  playback.time = 0;
+  playback.direction = 1;
+  playback.paused = false;
+  clearCompletionLayers();
+  state.animationTween.stop();
+  state.animationTween.start(0);
+  updateTransportUI();
+}
+
+// Move the draw to `time` ms on its virtual clock.  Times past the end
+// count as the hold before a loop or reversal.
+function seekPlayback(time) {
+  const tween = state.animationTween;
+  if (!tween) return;
+  const duration = state.animationDuration;
+  const t = Math.max(0, Math.min(duration, time));
+  state.playback.time = time;
+  if (!tween.isPlaying()) {
+    if (t >= duration) return; // already finished
+    // Scrubbing during a morph abandons it for the plain draw
+    if (state.morphTween) {
+      state.morphTween.stop();
+      state.morphTween = null;
+      clearMorph();
+    }
+    clearCompletionLayers();
+    tween.start(0);
+  }
+  tween.update(t);
+}
+
+// Whether the draw stops at its end rather than looping or reversing:
+// in 'once' mode, and with Animate off, where the outline is drawn at
+// once and stays whatever the mode
+function playsOnce() {
+  return state.playback.mode === 'once' || !state.animating;
+}
+
+// Advance the virtual clock by a frame of `dt` seconds at the chosen
+// rate and apply the loop or ping-pong mode at either end
+function advancePlayback(dt) {
+  const playback = state.playback;
+  const tween = state.animationTween;
+  if (!tween || playback.paused) return;
+  // A morph stands in for the draw until it lands
+  if (state.morphTween && state.morphTween.isPlaying()) return;
+  const duration = state.animationDuration;
+  let time = playback.time + dt * 1000 * playback.rate * playback.direction;
+  if (playback.direction > 0 && time >= duration) {
+    if (playsOnce()) {
+      time = duration;
+    } else if (time >= duration + PLAYBACK_HOLD_MS) {
+      if (playback.mode === 'loop') {
+        startPlayback();
+        return;
+      }
+      playback.direction = -1;
+      time = duration;
+    }
+  } else if (playback.direction < 0 && time <= 0) {
+    playback.direction = 1;
+    time = 0;
+  }
+  if (time !== playback.time) {
+    seekPlayback(time);
+    updateTransportUI();
+  }
+}
+
+function togglePlayback() {
+  const playback = state.playback;
+  if (!state.animationTween) return;
+  if (!playback.paused && (playback.time < state.animationDuration || !playsOnce())) {
+    playback.paused = true;
+  } else if (playsOnce() && playback.time >= state.animationDuration) {
+    // Play again from the start once a single draw has finished
+    startPlayback();
+  } else {
+    playback.paused = false;
+  }
+  updateTransportUI();
+}
+
+// Change the draw duration in place, keeping the current position
+function setAnimationDuration(ms) {
+  const previous = state.animationDuration;
+  state.animationDuration = ms;
+  if (!state.animationTween) return;
+  state.animationTween.duration(ms);
+  const time = Math.min(state.playback.time, previous) * (ms / previous);
+  state.playback.time = time;
+  if (state.animationTween.isPlaying()) {
+    state.animationTween.update(time);
+  }
+  updateTransportUI();
+}
+
+function updateTransportUI() {
+  const t = state.transport;
+  if (!t) return;
+  const playback = state.playback;
+  const duration = state.animationDuration;
+  const time = Math.max(0, Math.min(duration, playback.time));
+  const running = !!state.animationTween && !playback.paused;
+  const finished = playsOnce() && playback.time >= duration;
+  t.playButton.textContent = running && !finished ? '❚❚' : '▶';
+  t.playButton.setAttribute('aria-label', running && !finished ? 'Pause' : 'Play');
+  t.timeline.value = Math.round((time / duration) * 1000);
+  t.timeValue.textContent = (time / 1000).toFixed(1) + ' / ' + (duration / 1000).toFixed(0) + 's';
+}
+
+// Remove the layers onOutlineComplete() adds, before the draw replays
+function clearCompletionLayers() {
+  clearSubdivisionLayer();
+  clearFill();
+  clearAnnotations();
+  if (state.borderGroup) {
+    state.scene.remove(state.borderGroup);
+    state.borderGroup = null;
+  }
+}
+
+function setupTransport() {
+  const byId = (id) => document.getElementById(id);
+  state.transport = {
+    playButton: byId('playPauseButton'),
+    timeline: byId('timelineSlider'),
+    timeValue: byId('timelineValue'),
+    mode: byId('playbackMode'),
+    rate: byId('playbackRate'),
+  };
+  const t = state.transport;
+  populateOptions(t.mode, PLAYBACK_MODES, state.playback.mode);
+  populateOptions(t.rate, PLAYBACK_RATES, String(state.playback.rate));
+  t.playButton.addEventListener('click', togglePlayback);
+  t.timeline.addEventListener('input', (e) => {
+    seekPlayback((parseInt(e.target.value, 10) / 1000) * state.animationDuration);
+    updateTransportUI();
+  });
+  t.mode.addEventListener('change', (e) => {
+    state.playback.mode = e.target.value;
+    state.playback.direction = 1;
+    updateTransportUI();
+  });
+  t.rate.addEventListener('change', (e) => {
+    state.playback.rate = parseFloat(e.target.value);
+  });
+  updateTransportUI();
+}
+
+// Called once the main outline has fully drawn, whether animated or
+// not.  Secondary layers that should follow the outline start here.
+function onOutlineComplete() {
+  if (state.showSubdivisions) {
+    showSubdivisionLayer();
+  }
+  if (state.showContext) {
+    showBorderLayer();
+  }
+  showFill();
+  showAnnotations();
+  onTourOutlineComplete();
+}
+
+// Map a [lon, lat] position into world units using the current
+// projection and fit, or those of the inset showing it.  Returns null
+// outside the projection's domain.
+function fitPoint(lonLat) {
+  const inset = insetForPoint(lonLat);
+  const projection = inset ? inset.projection : state.projection;
+  const fit = inset ? inset.fit : state.fit;
+  const point = projection(lonLat);
+  if (!point) return null;
+  return [
+    (point[0] + fit.offsetX) * fit.scale + fit.cx,
+    (point[1] + fit.offsetY) * fit.scale + fit.cy,
+  ];
+}
+
+// Inverse of fitPoint: world units back to [lon, lat].  Points inside
+// an inset box go through that inset's projection and fit.
+function unfitPoint(x, y) {
+  const inset = state.insets.find(
+    ({ box }) => Math.abs(x - box.cx) <= box.width / 2 && Math.abs(y - box.cy) <= box.height / 2
+  );
+  return invertFit(inset ? inset.projection : state.projection, inset ? inset.fit : state.fit, x, y);
+}
+
+function invertFit(projection, fit, x, y) {
+  if (!projection.invert) return null;
+  return projection.invert([(x - fit.cx) / fit.scale - fit.offsetX, (y - fit.cy) / fit.scale - fit.offsetY]);
+}
+
+// Convert a mouse event on the canvas into world units (origin at the
+// view centre, y up, as the orthographic camera sees it)
+function eventToWorld(e) {
+  const rect = state.renderer.domElement.getBoundingClientRect();
+  return [e.clientX - rect.left - rect.width / 2, rect.height / 2 - (e.clientY - rect.top)];
+}
+
+// Project lon/lat rings of the given features into fitted world
+// coordinates, ready for createLineMeshes()
+function fitFeatureRings(features) {
+  const lonLatRings = features.flatMap((feature) => geometryRings(feature.geometry));
+  if (state.viewMode === 'globe') {
+    return globeRings(lonLatRings, state.globe.radius, globeRotation(state.globe.centre));
+  }
+  return applyFit(projectRings(lonLatRings, state.projection), state.fit);
+}
+
+// Polygons of a geometry, each a list of [lon, lat] rings.  Lines are
+// returned as single-ring entries.
+function geometryPolygons(geometry) {
+  if (!geometry) return [];
+  switch (geometry.type) {
+    case 'Polygon':
+      return [geometry.coordinates];
+    case 'MultiPolygon':
+      return geometry.coordinates;
+    case 'GeometryCollection':
+      return geometry.geometries.flatMap(geometryPolygons);
+    default:
+      return geometryRings(geometry).map((ring) => [ring]);
+  }
+}
+
+// Whether [lon, lat] lies within d3.geoBounds-style bounds, which
+// have west > east when they cross the antimeridian
+function boundsContain([[west, south], [east, north]], [lon, lat]) {
+  if (lat < south || lat > north) return false;
+  return west <= east ? lon >= west && lon <= east : lon >= west || lon <= east;
+}
+
+// The inset part showing [lon, lat], going by its outline and bounds,
+// or null for the mainland
+function insetForPoint(lonLat) {
+  return (
+    state.insets.find(
+      (part) => d3Geo.geoContains(part.feature, lonLat) || boundsContain(part.bounds, lonLat)
+    ) || null
+  );
+}
+
+// The inset part holding a polygon, or null for the mainland, going by
+// the polygon's centroid.  Data finer than the outline has islands the
+// outline lacks; those go to the part with the nearest vertex.
+function insetForPolygon(polygon) {
+  const centre = d3Geo.geoCentroid({ type: 'Polygon', coordinates: polygon });
+  const inset = insetForPoint(centre);
+  if (inset) return inset;
+  if (d3Geo.geoContains(state.insetMainland, centre)) return null;
+  let nearest = null;
+  let nearestDistance = Infinity;
+  for (const part of [null, ...state.insets]) {
+    const feature = part ? part.feature : state.insetMainland;
+    for (const ring of geometryRings(feature.geometry)) {
+      for (const lonLat of ring) {
+        const distance = d3Geo.geoDistance(centre, lonLat);
+        if (distance < nearestDistance) {
+          nearestDistance = distance;
+          nearest = part;
+        }
+      }
+    }
+  }
+  return nearest;
+}
+
+// Like fitFeatureRings(), but laid out like the outline: polygons
+// inside an inset part use that inset's projection and fit, so
+// subdivisions of Alaska or Hawaii land on their inset outlines
+function fitLayoutRings(features) {
+  if (state.viewMode === 'globe' || !state.insets.length) {
+    return fitFeatureRings(features);
+  }
+  const rings = [];
+  for (const feature of features) {
+    for (const polygon of geometryPolygons(feature.geometry)) {
+      const inset = insetForPolygon(polygon);
+      const projected = projectRings(polygon, inset ? inset.projection : state.projection);
+      rings.push(...applyFit(projected, inset ? inset.fit : state.fit));
+    }
+  }
+  return rings;
+}
+
+// Fills.  Once the stroke has drawn, themes with a `fill` flood the
+// selection with a solid colour, a vertical gradient, hatching or dots,
+// rising from the bottom of the outline.  theme.fill is
+// { style: 'solid' | 'gradient' | 'hatch' | 'dots', color, color2
+// (gradient top), opacity, spacing (px between hatch lines or dots),
+// angle (hatch, degrees) }.  Polygons are rebuilt from the fitted
+// rings: rings wound like the largest one are outer rings and the rest
+// are holes in the smallest outer ring that contains them.
+const FILL_STYLES = { solid: 'Solid', gradient: 'Gradient', hatch: 'Hatched', dots: 'Dotted' };
+const FILL_FLOOD_MS = 1200;
+const DEFAULT_FILL = { style: 'solid', color: '#ffffff', color2: '#000000', opacity: 0.3, spacing: 8, angle: 45 };
+
+const FILL_VERTEX_SHADER = `
+  varying vec2 vWorld;
+  void main() {
+    vec4 world = modelMatrix * vec4(position, 1.0);
+    vWorld = world.xy;
+    gl_Position = projectionMatrix * viewMatrix * world;
+  }
+`;
+
+const FILL_FRAGMENT_SHADER = `
+  uniform vec3 color;
+  uniform vec3 color2;
+  uniform float opacity;
+  uniform int mode;
+  uniform float spacing;
+  uniform float angle;
+  uniform vec2 range;
+  uniform float progress;
+  varying vec2 vWorld;
+  void main() {
+    float t = clamp((vWorld.y - range.x) / max(range.y - range.x, 1.0), 0.0, 1.0);
+    if (t > progress) discard;
+    vec3 c = color;
+    float a = opacity;
+    if (mode == 1) {
+      c = mix(color, color2, t);
+    } else if (mode == 2) {
+      float d = dot(vWorld, vec2(cos(angle), sin(angle)));
+      float f = abs(fract(d / spacing) - 0.5) * spacing;
+      a *= 1.0 - smoothstep(0.5, 1.5, f);
+    } else if (mode == 3) {
+      vec2 cell = mod(vWorld, spacing) - spacing * 0.5;
+      float r = spacing * 0.18;
+      a *= 1.0 - smoothstep(r, r + 1.0, length(cell));
+    }
+    gl_FragColor = vec4(c, a);
+  }
+`;
+
+// Whether a point lies inside a flat [x,y,z,...] ring (even-odd rule)
+function ringContains(ring, x, y) {
+  let inside = false;
+  const n = ring.length / 3;
+  for (let i = 0, j = n - 1; i < n; j = i++) {
+    const xi = ring[i * 3];
+    const yi = ring[i * 3 + 1];
+    const xj = ring[j * 3];
+    const yj = ring[j * 3 + 1];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// Group fitted rings into polygons { outer, holes }.  Open lines and,
+// on the globe, rings that reach round the back are left out.
+function fillPolygons(rings) {
+  const closed = rings.filter((ring) => {
+    if (!isClosedRing(ring)) return false;
+    for (let i = 2; i < ring.length; i += 3) if (ring[i] < 0) return false;
+    return true;
+  });
+  if (!closed.length) return [];
+  const areas = closed.map(signedArea);
+  const largest = areas.reduce((best, a, i) => (Math.abs(a) > Math.abs(areas[best]) ? i : best), 0);
+  const sign = Math.sign(areas[largest]);
+  const polygons = [];
+  const holes = [];
+  closed.forEach((ring, i) => {
+    if (Math.sign(areas[i]) === sign) polygons.push({ outer: ring, area: Math.abs(areas[i]), holes: [] });
+    else holes.push(ring);
+  });
+  polygons.sort((a, b) => a.area - b.area);
+  for (const hole of holes) {
+    const owner = polygons.find((p) => ringContains(p.outer, hole[0], hole[1]));
+    if (owner) owner.holes.push(hole);
+  }
+  return polygons;
+}
+
+// Triangulate polygons into one BufferGeometry in world units
+function fillGeometry(polygons) {
+  const positions = [];
+  const toPoints = (ring) => {
+    const points = [];
+    // Skip the closing repeat of the first point
+    for (let i = 0; i < ring.length / 3 - 1; i++) {
+      points.push(new THREE.Vector2(ring[i * 3], ring[i * 3 + 1]));
+    }
+    return points;
+  };
+  for (const polygon of polygons) {
+    const contour = toPoints(polygon.outer);
+    const holes = polygon.holes.map(toPoints);
+    const vertices = contour.concat(...holes);
+    for (const triangle of THREE.ShapeUtils.triangulateShape(contour, holes)) {
+      for (const k of triangle) positions.push(vertices[k].x, vertices[k].y, 0);
+    }
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  return geometry;
+}
+
+// The theme's fill with defaults filled in, or null
+function themeFill(theme) {
+  return theme.fill ? Object.assign({}, DEFAULT_FILL, theme.fill) : null;
+}
+
+// Build the fill of the current outline, flooding in from the bottom
+// when animating
+function showFill() {
+  clearFill();
+  const fill = themeFill(THEMES[state.themeKey]);
+  if (!state.showFill || !fill || !state.outlineRings) return;
+  const polygons = fillPolygons(state.outlineRings);
+  if (!polygons.length) return;
+  let minY = Infinity;
+  let maxY = -Infinity;
+  for (const { outer } of polygons) {
+    for (let i = 1; i < outer.length; i += 3) {
+      minY = Math.min(minY, outer[i]);
+      maxY = Math.max(maxY, outer[i]);
+    }
+  }
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      color: { value: new THREE.Color(fill.color) },
+      color2: { value: new THREE.Color(fill.color2) },
+      opacity: { value: fill.opacity },
+      mode: { value: Object.keys(FILL_STYLES).indexOf(fill.style) },
+      spacing: { value: Math.max(2, fill.spacing) },
+      angle: { value: fill.angle * DEGREES },
+      range: { value: new THREE.Vector2(minY, maxY) },
+      progress: { value: state.animating ? 0 : 1 },
+    },
+    vertexShader: FILL_VERTEX_SHADER,
+    fragmentShader: FILL_FRAGMENT_SHADER,
+    transparent: true,
+    depthTest: false,
+    depthWrite: false,
+  });
+  const mesh = new THREE.Mesh(fillGeometry(polygons), material);
+  // Under the outline
+  mesh.renderOrder = -1;
+  mesh.userData.fill = { polygons, style: fill, range: [minY, maxY] };
+  state.fillMesh = mesh;
+  state.scene.add(mesh);
+  render();
+}
+
+// Advance the flood by `dt` seconds
+function updateFill(dt) {
+  if (!state.fillMesh) return;
+  const progress = state.fillMesh.material.uniforms.progress;
+  if (progress.value < 1) progress.value = Math.min(1, progress.value + (dt * 1000) / FILL_FLOOD_MS);
+}
+
+function clearFill() {
+  if (state.fillMesh) {
+    state.scene.remove(state.fillMesh);
+    state.fillMesh.geometry.dispose();
+    state.fillMesh.material.dispose();
+    state.fillMesh = null;
+  }
+}
+
+// SVG for the fill: a definition to put in <defs> and the shape using
+// it, both empty when nothing is filled
+function fillSvg(theme, width, height) {
+  const fill = themeFill(theme);
+  if (!state.showFill || !fill || !state.outlineRings) return { defs: [], shape: [] };
+  const polygons = fillPolygons(state.outlineRings);
+  if (!polygons.length) return { defs: [], shape: [] };
+  const d = ringsToSvgPath(
+    polygons.flatMap((p) => [p.outer].concat(p.holes)),
+    width,
+    height
+  );
+  const defs = [];
+  let paint = fill.color;
+  const spacing = Math.max(2, fill.spacing);
+  if (fill.style === 'gradient') {
+    // Bottom to top, as on screen (SVG y points down)
+    defs.push(
+      '    <linearGradient id="fillPaint" x1="0" y1="1" x2="0" y2="0">' +
+        '<stop offset="0" stop-color="' + fill.color + '"/>' +
+        '<stop offset="1" stop-color="' + fill.color2 + '"/></linearGradient>'
+    );
+    paint = 'url(#fillPaint)';
+  } else if (fill.style === 'hatch') {
+    defs.push(
+      '    <pattern id="fillPaint" width="' + spacing + '" height="' + spacing +
+        '" patternUnits="userSpaceOnUse" patternTransform="rotate(' + -fill.angle + ')">' +
+        '<line x1="0" y1="0" x2="0" y2="' + spacing + '" stroke="' + fill.color +
+        '" stroke-width="1.5"/></pattern>'
+    );
+    paint = 'url(#fillPaint)';
+  } else if (fill.style === 'dots') {
+    defs.push(
+      '    <pattern id="fillPaint" width="' + spacing + '" height="' + spacing +
+        '" patternUnits="userSpaceOnUse"><circle cx="' + spacing / 2 + '" cy="' + spacing / 2 +
+        '" r="' + (spacing * 0.18).toFixed(2) + '" fill="' + fill.color + '"/></pattern>'
+    );
+    paint = 'url(#fillPaint)';
+  }
+  const shape = [
+    '  <path d="' + d + '" fill="' + paint + '" fill-rule="evenodd" opacity="' + fill.opacity + '"/>',
+  ];
+  return { defs, shape };
+}
+
+// On-canvas annotations, added once the outline has drawn: the
+// selection's name typed out letter by letter, a marker on the
+// capital, a scale bar measured from the active projection and
+// free-text callouts placed by clicking the map.  Each annotation is a
+// list of drawing ops in label space (origin at its anchor, y down, CSS
+// pixels) which is painted into a texture for the scene and written
+// out as SVG for vector export, so both match.  Colours and the font
+// come from the theme.
+const LABEL_MARGIN = 32;
+const LABEL_TYPE_RATE = 18; // characters per second
+const LABEL_PADDING = 4;
+const DEFAULT_LABEL_FONT = 'system-ui, sans-serif';
+// Offscreen canvas for measuring text
+let labelMeasureContext = null;
+
+function labelStyle(theme) {
+  return {
+    color: theme.colors[0],
+    accent: theme.borderColor || theme.colors[0],
+    background: theme.background,
+    font: theme.font || DEFAULT_LABEL_FONT,
+  };
+}
+
+function cssFont(op, style) {
+  return (op.weight || 400) + ' ' + op.size + 'px ' + style.font;
+}
+
+function measureLabel(text, op, style) {
+  if (!labelMeasureContext) labelMeasureContext = document.createElement('canvas').getContext('2d');
+  labelMeasureContext.font = cssFont(op, style);
+  return labelMeasureContext.measureText(text).width;
+}
+
+function nameOps(text, style) {
+  return [
+    { type: 'text', x: 0, y: 0, text, size: 28, weight: 600, align: 'center', color: style.color, typed: true },
+  ];
+}
+
+function capitalOps(name, style) {
+  return [
+    { type: 'circle', cx: 0, cy: 0, r: 4, fill: style.accent, stroke: style.background, width: 1.5 },
+    { type: 'text', x: 9, y: 4, text: name, size: 13, align: 'left', color: style.color },
+  ];
+}
+
+function scaleBarOps(length, label, style) {
+  const bar = [[0, -6], [0, 0], [length, 0], [length, -6]];
+  return [
+    { type: 'line', points: bar, color: style.color, width: 2 },
+    { type: 'text', x: length / 2, y: -9, text: label, size: 12, align: 'center', color: style.color },
+  ];
+}
+
+// Dot on the anchor with a leader up and to the right to a framed note
+function calloutOps(text, style) {
+  const top = -44;
+  const label = { type: 'text', x: 24, y: top + 16, text, size: 13, align: 'left', color: style.color };
+  const width = measureLabel(text, label, style) + 12;
+  return [
+    { type: 'line', points: [[0, 0], [18, top + 22]], color: style.accent, width: 1 },
+    { type: 'circle', cx: 0, cy: 0, r: 3, fill: style.accent },
+    {
+      type: 'rect',
+      x: 18,
+      y: top,
+      width,
+      height: 22,
+      fill: style.background,
+      fillOpacity: 0.8,
+      stroke: style.accent,
+    },
+    label,
+  ];
+}
+
+// Box [minX, minY, maxX, maxY] covering the ops
+function labelBounds(ops, style) {
+  const box = [Infinity, Infinity, -Infinity, -Infinity];
+  const add = (x0, y0, x1, y1) => {
+    box[0] = Math.min(box[0], x0);
+    box[1] = Math.min(box[1], y0);
+    box[2] = Math.max(box[2], x1);
+    box[3] = Math.max(box[3], y1);
+  };
+  for (const op of ops) {
+    if (op.type === 'text') {
+      const width = measureLabel(op.text, op, style);
+      const left = op.align === 'center' ? op.x - width / 2 : op.x;
+      add(left, op.y - op.size, left + width, op.y + op.size * 0.3);
+    } else if (op.type === 'circle') {
+      add(op.cx - op.r, op.cy - op.r, op.cx + op.r, op.cy + op.r);
+    } else if (op.type === 'rect') {
+      add(op.x, op.y, op.x + op.width, op.y + op.height);
+    } else {
+      op.points.forEach(([x, y]) => add(x, y, x, y));
+    }
+  }
+  return box;
+}
+
+// Paint ops with the first `typed` characters of typed text showing
+function paintLabel(ctx, ops, style, typed) {
+  for (const op of ops) {
+    ctx.globalAlpha = 1;
+    if (op.type === 'text') {
+      ctx.font = cssFont(op, style);
+      ctx.textAlign = op.align;
+      ctx.textBaseline = 'alphabetic';
+      ctx.fillStyle = op.color;
+      // Typed text stays left-aligned in its box so it grows rightward
+      const text = op.typed ? op.text.slice(0, typed) : op.text;
+      if (op.typed && op.align === 'center') {
+        ctx.textAlign = 'left';
+        ctx.fillText(text, op.x - measureLabel(op.text, op, style) / 2, op.y);
+      } else {
+        ctx.fillText(text, op.x, op.y);
+      }
+    } else if (op.type === 'circle') {
+      ctx.beginPath();
+      ctx.arc(op.cx, op.cy, op.r, 0, Math.PI * 2);
+      ctx.fillStyle = op.fill;
+      ctx.fill();
+      if (op.stroke) {
+        ctx.strokeStyle = op.stroke;
+        ctx.lineWidth = op.width;
+        ctx.stroke();
+      }
+    } else if (op.type === 'rect') {
+      ctx.globalAlpha = op.fillOpacity;
+      ctx.fillStyle = op.fill;
+      ctx.fillRect(op.x, op.y, op.width, op.height);
+      ctx.globalAlpha = 1;
+      ctx.strokeStyle = op.stroke;
+      ctx.lineWidth = 1;
+      ctx.strokeRect(op.x + 0.5, op.y + 0.5, op.width - 1, op.height - 1);
+    } else {
+      ctx.beginPath();
+      op.points.forEach(([x, y], i) => (i ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+      ctx.strokeStyle = op.color;
+      ctx.lineWidth = op.width;
+      ctx.lineCap = 'square';
+      ctx.stroke();
+    }
+  }
+}
+
+// SVG group for an annotation anchored at (x, y) in SVG coordinates
+function labelSvg(ops, style, x, y) {
+  const parts = ['  <g transform="translate(' + x.toFixed(2) + ' ' + y.toFixed(2) + ')">'];
+  for (const op of ops) {
+    if (op.type === 'text') {
+      const anchor = op.align === 'center' ? 'middle' : 'start';
+      parts.push(
+        '    <text x="' + op.x.toFixed(2) + '" y="' + op.y + '" text-anchor="' + anchor +
+          '" font-family="' + escapeXml(style.font) + '" font-size="' + op.size +
+          '" font-weight="' + (op.weight || 400) + '" fill="' + op.color + '">' +
+          escapeXml(op.text) + '</text>'
+      );
+    } else if (op.type === 'circle') {
+      const stroke = op.stroke ? ' stroke="' + op.stroke + '" stroke-width="' + op.width + '"' : '';
+      parts.push(
+        '    <circle cx="' + op.cx + '" cy="' + op.cy + '" r="' + op.r + '" fill="' + op.fill + '"' +
+          stroke + '/>'
+      );
+    } else if (op.type === 'rect') {
+      parts.push(
+        '    <rect x="' + op.x + '" y="' + op.y + '" width="' + op.width.toFixed(2) + '" height="' +
+          op.height + '" fill="' + op.fill + '" fill-opacity="' + op.fillOpacity + '" stroke="' +
+          op.stroke + '"/>'
+      );
+    } else {
+      const points = op.points.map(([px, py]) => px.toFixed(2) + ',' + py.toFixed(2)).join(' ');
+      parts.push(
+        '    <polyline points="' + points + '" fill="none" stroke="' + op.color +
+          '" stroke-width="' + op.width + '"/>'
+      );
+    }
+  }
+  parts.push('  </g>');
+  return parts.join('\n');
+}
+
+// Round distance in km no longer than `max`: 1, 2 or 5 × 10^n
+function niceDistance(max) {
+  const power = Math.pow(10, Math.floor(Math.log10(max)));
+  return [5, 2, 1].map((m) => m * power).find((d) => d <= max);
+}
+
+// Scale bar at most `maxLength` world units long, true to a projection
+// at the centre of its fit, or null where the projection cannot be
+// inverted there.  The mainland and each inset are drawn at their own
+// scale, so each gets its own bar.
+function scaleBar(projection, fit, maxLength, style) {
+  const cx = fit.cx || 0;
+  const cy = fit.cy || 0;
+  const step = 50;
+  const a = invertFit(projection, fit, cx - step, cy);
+  const b = invertFit(projection, fit, cx + step, cy);
+  if (!a || !b) return null;
+  const kmPerUnit = (d3Geo.geoDistance(a, b) * EARTH_RADIUS_KM) / (2 * step);
+  if (!(kmPerUnit > 0)) return null;
+  const km = niceDistance(maxLength * kmPerUnit);
+  const label = km >= 1 ? km.toLocaleString() + ' km' : Math.round(km * 1000) + ' m';
+  return scaleBarOps(km / kmPerUnit, label, style);
+}
+
+// Position of [lon, lat] in world units, or null when it is off the
+// visible side of the globe
+function annotationPoint(lonLat) {
+  if (state.globe && d3Geo.geoDistance(lonLat, state.globe.centre) > Math.PI / 2) return null;
+  return fitPoint(lonLat);
+}
+
+// Annotations for the current outline as { x, y, ops, typed } with
+// the anchor in world units (origin at the view centre, y up).  The
+// name and capital are left out during a quiz, and the name during a
+// tour, whose title card already shows it.
+function layoutAnnotations() {
+  if (!state.viewSize || !state.fit || !state.projection || !state.selection.length) return [];
+  const { width, height } = state.viewSize;
+  const style = labelStyle(THEMES[state.themeKey]);
+  const items = [];
+  if (state.showLabels && !state.quiz) {
+    if (!state.tour) {
+      items.push({ x: 0, y: height / 2 - LABEL_MARGIN - 20, ops: nameOps(state.selectionLabel, style) });
+    }
+    const meta = state.selection.length === 1 && state.countryMeta[state.selection[0].id];
+    const capital = meta && meta.capital;
+    const point = capital && annotationPoint([capital.lon, capital.lat]);
+    if (point) items.push({ x: point[0], y: point[1], ops: capitalOps(capital.name, style) });
+  }
+  if (state.showScaleBar) {
+    const ops = scaleBar(state.projection, state.fit, width * 0.2, style);
+    if (ops) items.push({ x: -width / 2 + LABEL_MARGIN, y: -height / 2 + LABEL_MARGIN, ops });
+    // Inset bars sit in the bottom-left corner of their frames
+    for (const { box, projection, fit } of state.insets) {
+      const insetOps = scaleBar(projection, fit, box.width * 0.4, style);
+      if (insetOps) {
+        items.push({ x: box.cx - box.width / 2 + 12, y: box.cy - box.height / 2 + 12, ops: insetOps });
+      }
+    }
+  }
+  for (const callout of state.callouts) {
+    const point = annotationPoint(callout.lonLat);
+    if (point) items.push({ x: point[0], y: point[1], ops: calloutOps(callout.text, style) });
+  }
+  return items;
+}
+
+// Plane in the scene showing one annotation's ops as a texture
+function createLabelMesh(item, style) {
+  const [minX, minY, maxX, maxY] = labelBounds(item.ops, style);
+  const width = maxX - minX + LABEL_PADDING * 2;
+  const height = maxY - minY + LABEL_PADDING * 2;
+  // Extra resolution keeps labels sharp in large exports
+  const ratio = Math.max(2, window.devicePixelRatio || 1);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.ceil(width * ratio);
+  canvas.height = Math.ceil(height * ratio);
+  const texture = new THREE.CanvasTexture(canvas);
+  const material = new THREE.MeshBasicMaterial({ map: texture, transparent: true, depthTest: false });
+  const mesh = new THREE.Mesh(new THREE.PlaneGeometry(width, height), material);
+  mesh.position.set(item.x + (minX + maxX) / 2, item.y - (minY + maxY) / 2, 0);
+  mesh.renderOrder = 10;
+  mesh.userData.label = { canvas, ratio, origin: [LABEL_PADDING - minX, LABEL_PADDING - minY] };
+  return mesh;
+}
+
+function paintLabelMesh(item, style) {
+  const { canvas, ratio, origin } = item.mesh.userData.label;
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.setTransform(ratio, 0, 0, ratio, origin[0] * ratio, origin[1] * ratio);
+  paintLabel(ctx, item.ops, style, Math.floor(item.typed));
+  item.mesh.material.map.needsUpdate = true;
+}
+
+// Build the annotation layer for the finished outline.  The name types
+// itself out when animating; otherwise everything shows at once.
+function showAnnotations() {
+  clearAnnotations();
+  const items = layoutAnnotations();
+  if (!items.length) return;
+  const style = labelStyle(THEMES[state.themeKey]);
+  const group = new THREE.Group();
+  items.forEach((item) => {
+    item.typed = state.animating ? 0 : Infinity;
+    item.mesh = createLabelMesh(item, style);
+    paintLabelMesh(item, style);
+    group.add(item.mesh);
+  });
+  state.annotationGroup = group;
+  state.annotationItems = items;
+  state.scene.add(group);
+  render();
+}
+
+// Advance the typewriter by `dt` seconds
+function updateAnnotations(dt) {
+  const style = labelStyle(THEMES[state.themeKey]);
+  for (const item of state.annotationItems) {
+    const text = item.ops.find((op) => op.typed);
+    if (!text || item.typed >= text.text.length) continue;
+    const before = Math.floor(item.typed);
+    item.typed += dt * LABEL_TYPE_RATE;
+    if (Math.floor(item.typed) !== before) paintLabelMesh(item, style);
+  }
+}
+
+// Show all typed text in full
+function finishAnnotations() {
+  const style = labelStyle(THEMES[state.themeKey]);
+  for (const item of state.annotationItems) {
+    if (item.typed !== Infinity) {
+      item.typed = Infinity;
+      paintLabelMesh(item, style);
+    }
+  }
+}
+
+function clearAnnotations() {
+  if (state.annotationGroup) {
+    state.scene.remove(state.annotationGroup);
+    state.annotationGroup.children.forEach((mesh) => {
+      mesh.material.map.dispose();
+      mesh.material.dispose();
+      mesh.geometry.dispose();
+    });
+    state.annotationGroup = null;
+  }
+  state.annotationItems = [];
+}
+
+// Rebuild the annotations after a setting changes, if the outline has
+// finished drawing
+function refreshAnnotations() {
+  if (!state.selection.length || (state.animationTween && state.animationTween.isPlaying())) return;
+  showAnnotations();
+  finishAnnotations();
+  render();
+}
+
+// Place a callout at a clicked position.  Its text is typed into the
+// field that opens in the Annotate row.
+function placeCallout(lonLat) {
+  state.placingCallout = false;
+  state.renderer.domElement.classList.remove('placing');
+  state.pendingCallout = lonLat;
+  showStatus('Type the callout text and press Enter, or Escape to cancel.', 'info');
+  const field = state.calloutText;
+  field.value = '';
+  field.classList.remove('hidden');
+  field.focus();
+}
+
+// Add the pending callout with the typed text, or drop it
+function finishCallout(keep) {
+  const lonLat = state.pendingCallout;
+  const text = state.calloutText.value.trim();
+  state.pendingCallout = null;
+  state.calloutText.classList.add('hidden');
+  showStatus('');
+  if (!keep || !lonLat || !text) return;
+  state.callouts.push({ lonLat, text });
+  refreshAnnotations();
+}
+
+// Post-processing.  A theme may list screen effects under `post`:
+// bloom, chromatic aberration, vignette and scanlines.  With any of
+// them set, the scene is rendered into a texture and composited onto
+// the canvas by a chain of full-screen passes.  Bloom is what gives
+// the glow themes their halo: pixels above a brightness threshold are
+// blurred at three successively halved resolutions and added back, so
+// a single line mesh per ring glows without extra geometry.
+
+const DEFAULT_BLOOM = { strength: 1.5, radius: 10, threshold: 0.1 };
+const DEFAULT_POST = { bloom: null, chromaticAberration: 0, vignette: 0, scanlines: 0 };
+const BLOOM_LEVELS = 3;
+const SCANLINE_SPACING = 3; // world units (CSS px) from one scanline to the next
+
+const POST_VERTEX_SHADER = `
+  varying vec2 vUv;
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+  }
+`;
+
+// Keep what is brighter than the threshold, easing in over a short
+// band so the cut-off does not shimmer
+const BRIGHT_FRAGMENT_SHADER = `
+  uniform sampler2D map;
+  uniform float threshold;
+  varying vec2 vUv;
+  void main() {
+    vec3 color = texture2D(map, vUv).rgb;
+    float luma = dot(color, vec3(0.2126, 0.7152, 0.0722));
+    gl_FragColor = vec4(color * smoothstep(threshold, threshold + 0.1, luma), 1.0);
+  }
+`;
+
+// One axis of a 9-tap Gaussian blur.  `tap` is the distance between
+// taps in UV units, along the blur axis.
+const BLUR_FRAGMENT_SHADER = `
+  uniform sampler2D map;
+  uniform vec2 tap;
+  varying vec2 vUv;
+  void main() {
+    vec3 sum = texture2D(map, vUv).rgb * 0.227027;
+    sum += (texture2D(map, vUv + tap).rgb + texture2D(map, vUv - tap).rgb) * 0.1945946;
+    sum += (texture2D(map, vUv + tap * 2.0).rgb + texture2D(map, vUv - tap * 2.0).rgb) * 0.1216216;
+    sum += (texture2D(map, vUv + tap * 3.0).rgb + texture2D(map, vUv - tap * 3.0).rgb) * 0.054054;
+    sum += (texture2D(map, vUv + tap * 4.0).rgb + texture2D(map, vUv - tap * 4.0).rgb) * 0.016216;
+    gl_FragColor = vec4(sum, 1.0);
+  }
+`;
+
+// Scene plus bloom, then the lens and screen effects.  The scene
+// texture holds premultiplied linear colour: darkening the colour
+// alone keeps transparent pixels transparent, and the result is
+// converted to the canvas's colour space on the way out.
+const COMPOSITE_FRAGMENT_SHADER = `
+  uniform sampler2D map;
+  uniform sampler2D bloom0;
+  uniform sampler2D bloom1;
+  uniform sampler2D bloom2;
+  uniform float strength;
+  uniform vec2 aberration; // red/blue shift at the edges, in UV units
+  uniform float vignette;
+  uniform float scanlines;
+  uniform float scanlineSpacing; // in drawing-buffer pixels
+  varying vec2 vUv;
+  void main() {
+    vec2 shift = (vUv - 0.5) * 2.0 * aberration;
+    vec4 texel = texture2D(map, vUv);
+    vec4 red = texture2D(map, vUv + shift);
+    vec4 blue = texture2D(map, vUv - shift);
+    vec3 glow = texture2D(bloom0, vUv).rgb + texture2D(bloom1, vUv).rgb + texture2D(bloom2, vUv).rgb;
+    vec3 color = vec3(red.r, texel.g, blue.b) + glow * strength / 3.0;
+    float alpha = max(max(texel.a, max(red.a, blue.a)), max(color.r, max(color.g, color.b)));
+    float edge = length(vUv - 0.5) * 1.41421;
+    color *= 1.0 - vignette * smoothstep(0.4, 1.0, edge);
+    color *= 1.0 - scanlines * step(0.5, fract(gl_FragCoord.y / scanlineSpacing));
+    gl_FragColor = vec4(min(color, vec3(1.0)), min(alpha, 1.0));
+    #include <encodings_fragment>
+  }
+`;
+
+// The theme's post-processing with defaults filled in, or null when it
+// has no effect enabled
+function themePost(theme) {
+  if (!theme.post) return null;
+  const post = Object.assign({}, DEFAULT_POST, theme.post);
+  post.bloom = post.bloom ? Object.assign({}, DEFAULT_BLOOM, post.bloom) : null;
+  const active = post.bloom || post.chromaticAberration > 0 || post.vignette > 0 || post.scanlines > 0;
+  return active ? post : null;
+}
+
+// Render targets and passes for one WebGL renderer.  Targets follow
+// the renderer's drawing-buffer size; effect sizes are given in world
+// units and scaled by the camera, so exports match the screen at any
+// resolution.
+class PostProcessor {
+  constructor(renderer) {
+    this.renderer = renderer;
+    // Rendering into a texture bypasses the canvas's antialiasing
+    const samples = renderer.capabilities.isWebGL2 ? 4 : 0;
+    this.sceneTarget = new THREE.WebGLRenderTarget(1, 1, { samples });
+    // Per bloom level: the blurred result and a scratch target
+    this.levels = [];
+    for (let i = 0; i < BLOOM_LEVELS; i++) {
+      this.levels.push([new THREE.WebGLRenderTarget(1, 1), new THREE.WebGLRenderTarget(1, 1)]);
+    }
+    const pass = (fragmentShader, uniforms) =>
+      new THREE.ShaderMaterial({
+        vertexShader: POST_VERTEX_SHADER,
+        fragmentShader,
+        uniforms,
+        depthTest: false,
+        depthWrite: false,
+      });
+    this.bright = pass(BRIGHT_FRAGMENT_SHADER, { map: { value: null }, threshold: { value: 0 } });
+    this.blur = pass(BLUR_FRAGMENT_SHADER, {
+      map: { value: null },
+      tap: { value: new THREE.Vector2() },
+    });
+    this.composite = pass(COMPOSITE_FRAGMENT_SHADER, {
+      map: { value: this.sceneTarget.texture },
+      bloom0: { value: this.levels[0][0].texture },
+      bloom1: { value: this.levels[1][0].texture },
+      bloom2: { value: this.levels[2][0].texture },
+      strength: { value: 0 },
+      aberration: { value: new THREE.Vector2() },
+      vignette: { value: 0 },
+      scanlines: { value: 0 },
+      scanlineSpacing: { value: 1 },
+    });
+    this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.composite);
+    this.quad.frustumCulled = false;
+    this.quadScene = new THREE.Scene();
+    this.quadScene.add(this.quad);
+    this.quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    this.size = new THREE.Vector2();
+  }
+  setSize(width, height) {
+    this.sceneTarget.setSize(width, height);
+    this.levels.forEach((targets, i) => {
+      const w = Math.max(1, Math.round(width / 2 ** (i + 1)));
+      const h = Math.max(1, Math.round(height / 2 ** (i + 1)));
+      targets.forEach((target) => target.setSize(w, h));
+    });
+  }
+  pass(material, target) {
+    this.quad.material = material;
+    this.renderer.setRenderTarget(target);
+    this.renderer.render(this.quadScene, this.quadCamera);
+  }
+  blurPass(source, target, x, y) {
+    this.blur.uniforms.map.value = source.texture;
+    this.blur.uniforms.tap.value.set(x / target.width, y / target.height);
+    this.pass(this.blur, target);
+  }
+  render(scene, camera, post) {
+    const renderer = this.renderer;
+    const size = renderer.getDrawingBufferSize(this.size);
+    if (size.x !== this.sceneTarget.width || size.y !== this.sceneTarget.height) {
+      this.setSize(size.x, size.y);
+    }
+    // Drawing-buffer pixels per world unit
+    const scale = size.y / (camera.top - camera.bottom);
+    renderer.setRenderTarget(this.sceneTarget);
+    renderer.render(scene, camera);
+    const uniforms = this.composite.uniforms;
+    const bloom = post.bloom;
+    uniforms.strength.value = bloom ? bloom.strength : 0;
+    if (bloom) {
+      this.bright.uniforms.map.value = this.sceneTarget.texture;
+      this.bright.uniforms.threshold.value = bloom.threshold;
+      this.pass(this.bright, this.levels[0][0]);
+      // Tap spacing in level texels, the same at every level so the
+      // widest level reaches the full radius
+      const spread = (bloom.radius * scale) / (4 * 2 ** BLOOM_LEVELS);
+      let source = this.levels[0][0];
+      for (const [result, scratch] of this.levels) {
+        this.blurPass(source, scratch, spread, 0);
+        this.blurPass(scratch, result, 0, spread);
+        source = result;
+      }
+    }
+    const shift = post.chromaticAberration * scale;
+    uniforms.aberration.value.set(shift / size.x, shift / size.y);
+    uniforms.vignette.value = post.vignette;
+    uniforms.scanlines.value = post.scanlines;
+    uniforms.scanlineSpacing.value = Math.max(2, SCANLINE_SPACING * scale);
+    this.pass(this.composite, null);
+  }
+  dispose() {
+    this.sceneTarget.dispose();
+    this.levels.flat().forEach((target) => target.dispose());
+    [this.bright, this.blur, this.composite].forEach((material) => material.dispose());
+    this.quad.geometry.dispose();
+  }
+}
+
+const postProcessors = new WeakMap();
+
+// Render the scene with `camera` through the theme's post-processing,
+// or straight to the canvas when it has none.  The Canvas 2D renderer
+// approximates the effects itself.
+function renderScene(renderer, camera) {
+  const post = themePost(THEMES[state.themeKey]);
+  if (state.rendererKind === 'canvas') {
+    renderer.post = post;
+    renderer.render(state.scene, camera);
+    return;
+  }
+  if (!post) {
+    renderer.render(state.scene, camera);
+    return;
+  }
+  let processor = postProcessors.get(renderer);
+  if (!processor) {
+    processor = new PostProcessor(renderer);
+    postProcessors.set(renderer, processor);
+  }
+  processor.render(state.scene, camera, post);
+}
+
+// Dispose of a renderer along with its post-processing targets
+function disposeRenderer(renderer) {
+  const processor = postProcessors.get(renderer);
+  if (processor) processor.dispose();
+  postProcessors.delete(renderer);
+  renderer.dispose();
+}
+
+function render() {
+  if (!state.renderer) return;
+  // Vignette and scanlines darken the background too, so with effects
+  // on it is drawn into the frame rather than shown through the canvas
+  const theme = THEMES[state.themeKey];
+  state.renderer.setClearColor(theme.background, themePost(theme) ? 1 : 0);
+  renderScene(state.renderer, state.camera);
+}
+
+let lastFrameTime = null;
+
+function animate(time) {
+  requestAnimationFrame(animate);
+  // Frame export steps the tween and particles itself
+  if (state.exporting) {
+    lastFrameTime = null;
+    return;
+  }
+  // Seconds since the previous frame, clamped so a background tab
+  // does not make particles jump on return
+  const dt = lastFrameTime === null ? 1 / 60 : Math.min((time - lastFrameTime) / 1000, 0.1);
+  lastFrameTime = time;
+  // update tween engine; the draw itself follows the transport
+  Tween.update();
+  advancePlayback(dt);
+  advanceTour(dt);
+  // Layers that continue the draw keep the transport's rate and stop
+  // while it is paused
+  const playDt = state.playback.paused ? 0 : dt * state.playback.rate;
+  updateSubdivisionLayer(playDt);
+  updateFill(playDt);
+  updateAnnotations(playDt);
+  // update particles
+  if (state.particleSystem) {
+    state.particleSystem.update(dt);
+  }
+  render();
+}
+
+// Offer a Blob to the user as a file download
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke on the next tick so the download has started
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Base file name for exports, e.g. "japan-neon"
+function exportFileName() {
+  const name = state.selectionLabel || 'outline';
+  const slug = name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  return (slug || 'outline') + '-' + state.themeKey;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Convert fitted rings (origin at the view centre, y up) into a
+// single SVG path in view pixels (origin top-left, y down).  Vertices
+// behind the view plane (the far side of the globe) break the path.
+function ringsToSvgPath(rings, width, height) {
+  const cx = width / 2;
+  const cy = height / 2;
+  const parts = [];
+  for (const ring of rings) {
+    const n = ring.length / 3;
+    if (n < 2) continue;
+    let d = '';
+    let pen = false;
+    let hidden = false;
+    for (let i = 0; i < n; i++) {
+      if (ring[i * 3 + 2] < 0) {
+        pen = false;
+        hidden = true;
+        continue;
+      }
+      const x = (ring[i * 3] + cx).toFixed(2);
+      const y = (cy - ring[i * 3 + 1]).toFixed(2);
+      d += (pen ? 'L' : 'M') + x + ' ' + y;
+      pen = true;
+    }
+    const closed = ring[0] === ring[(n - 1) * 3] && ring[1] === ring[(n - 1) * 3 + 1];
+    parts.push(closed && !hidden ? d + 'Z' : d);
+  }
+  return parts.join('');
+}
+
+// Build a standalone SVG document of the current outline.  Each theme
+// layer becomes a <use> of one shared path, carrying the layer's
+// width, opacity and offset, so the file mirrors the stacked
+// MeshLine layers.  Additive layers map to the `screen` blend mode,
+// the closest SVG equivalent, and the theme's bloom to a blur filter
+// merged under the strokes.  The other post-processing effects are
+// left to the screen.
+function buildOutlineSvg(options = {}) {
+  const theme = THEMES[state.themeKey];
+  const post = themePost(theme);
+  const { width, height } = state.viewSize;
+  const d = ringsToSvgPath(state.outlineRings, width, height);
+  const name = state.selectionLabel;
+  const lines = [];
+  lines.push(
+    '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"' +
+      ' width="' + width + '" height="' + height + '" viewBox="0 0 ' + width + ' ' + height + '">'
+  );
+  lines.push('  <title>' + escapeXml(name) + ' – ' + escapeXml(theme.name) + '</title>');
+  lines.push('  <defs>');
+  lines.push('    <path id="outline" d="' + d + '"/>');
+  const fill = fillSvg(theme, width, height);
+  lines.push(...fill.defs);
+  if (post && post.bloom) {
+    lines.push(
+      '    <filter id="bloom" x="-50%" y="-50%" width="200%" height="200%">',
+      '      <feGaussianBlur in="SourceGraphic" stdDeviation="' + post.bloom.radius / 2 + '"/>',
+      '      <feComponentTransfer result="glow"><feFuncA type="linear" slope="' +
+        post.bloom.strength +
+        '"/></feComponentTransfer>',
+      '      <feMerge><feMergeNode in="glow"/><feMergeNode in="SourceGraphic"/></feMerge>',
+      '    </filter>'
+    );
+  }
+  lines.push('  </defs>');
+  if (options.background) {
+    lines.push('  <rect width="100%" height="100%" fill="' + theme.background + '"/>');
+  }
+  lines.push(...fill.shape);
+  lines.push(
+    '  <g fill="none" stroke="' + theme.colors[0] + '" stroke-linejoin="round" stroke-linecap="round"' +
+      (post && post.bloom ? ' filter="url(#bloom)"' : '') +
+      '>'
+  );
+  for (let layer = 0; layer < theme.lineWidths.length; layer++) {
+    const opacity = theme.opacities[layer] !== undefined ? theme.opacities[layer] : 1.0;
+    const additive = theme.blending[layer] === THREE.AdditiveBlending;
+    const offset = theme.offsets && theme.offsets[layer] ? theme.offsets[layer] : 0;
+    let attrs = ' stroke-width="' + theme.lineWidths[layer] + '" opacity="' + opacity + '"';
+    if (offset) {
+      // Same down-right shift createLineMeshes() applies (y flipped)
+      attrs += ' transform="translate(' + offset + ' ' + offset + ')"';
+    }
+    if (additive) {
+      attrs += ' style="mix-blend-mode:screen"';
+    }
+    lines.push('    <use href="#outline" xlink:href="#outline"' + attrs + '/>');
+  }
+  lines.push('  </g>');
+  // Globe limb, matching the on-screen circle
+  if (state.globe) {
+    lines.push(
+      '  <circle cx="' + width / 2 + '" cy="' + height / 2 + '" r="' + state.globe.radius +
+        '" fill="none" stroke="' + theme.colors[0] + '" stroke-width="1.5" opacity="0.5"/>'
+    );
+  }
+  // Inset frames, matching the on-screen frame rings
+  for (const box of state.insetFrames) {
+    const x = box.cx - box.width / 2 + width / 2 + 4;
+    const y = height / 2 - (box.cy + box.height / 2) + 4;
+    lines.push(
+      '  <rect x="' + x.toFixed(2) + '" y="' + y.toFixed(2) + '" width="' + (box.width - 8) +
+        '" height="' + (box.height - 8) + '" fill="none" stroke="' + theme.colors[0] +
+        '" stroke-width="1" opacity="0.35"/>'
+    );
+  }
+  const style = labelStyle(theme);
+  for (const item of layoutAnnotations()) {
+    lines.push(labelSvg(item.ops, style, item.x + width / 2, height / 2 - item.y));
+  }
+  lines.push('</svg>');
+  return lines.join('\n') + '\n';
+}
+
+// Renderer for exports, independent of the on-screen canvas size and
+// using the same backend as the screen.  preserveDrawingBuffer lets
+// encoders read a WebGL canvas after render.
+function createOffscreenRenderer(width, height) {
+  const renderer =
+    state.rendererKind === 'canvas'
+      ? new CanvasLineRenderer()
+      : new THREE.WebGLRenderer({
+          antialias: true,
+          alpha: true,
+          preserveDrawingBuffer: true,
+        });
+  renderer.setPixelRatio(1);
+  renderer.setSize(width, height, false);
+  return renderer;
+}
+
+// Orthographic camera showing the whole view the outline was fitted
+// to, widened along one axis to match the export's aspect ratio.
+function createExportCamera(width, height) {
+  const view = state.viewSize;
+  const aspect = width / height;
+  let halfW = view.width / 2;
+  let halfH = view.height / 2;
+  if (aspect > halfW / halfH) {
+    halfW = halfH * aspect;
+  } else {
+    halfH = halfW / aspect;
+  }
+  const camera = new THREE.OrthographicCamera(
+    -halfW,
+    halfW,
+    halfH,
+    -halfH,
+    state.camera.near,
+    state.camera.far
+  );
+  camera.position.copy(state.camera.position);
+  camera.updateProjectionMatrix();
+  return camera;
+}
+
+// Render the scene offscreen.  Line resolution uniforms are switched
+// to the export size for the render and restored afterwards.
+function renderOffscreen(renderer, camera, options = {}) {
+  const theme = THEMES[state.themeKey];
+  const size = renderer.getSize(new THREE.Vector2());
+  renderer.setClearColor(theme.background, options.transparent ? 0 : 1);
+  setLineResolution(size.x, size.y);
+  renderScene(renderer, camera);
+  const canvas = state.renderer.domElement;
+  setLineResolution(canvas.clientWidth, canvas.clientHeight);
+}
+
+// Read the requested export size, clamped to what a WebGL canvas can
+// reasonably hold.  Video encoders want even dimensions.
+function readExportSize(even) {
+  const clamp = (value) => Math.max(16, Math.min(8192, parseInt(value, 10) || 0));
+  let width = clamp(state.exportWidth.value);
+  let height = clamp(state.exportHeight.value);
+  if (even) {
+    width -= width % 2;
+    height -= height % 2;
+  }
+  return { width, height };
+}
+
+function exportSvg() {
+  if (!state.currentCountry || !state.outlineRings) {
+    showStatus('Select a country before exporting.', 'error');
+    return;
+  }
+  const svg = buildOutlineSvg({ background: state.exportBackgroundToggle.checked });
+  downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), exportFileName() + '.svg');
+}
+
+// Run `fn` with the outline fully drawn and particles hidden, then
+// restore the in-progress animation state.  Used for stills, which
+// should show the finished outline whatever the tween is doing.
+function withFinishedOutline(fn) {
+  // Fill and annotations normally appear when the draw completes
+  const temporaryLayers = !state.annotationGroup && !state.fillMesh;
+  if (temporaryLayers) {
+    showFill();
+    showAnnotations();
+  }
+  const fillProgress = state.fillMesh ? state.fillMesh.material.uniforms.progress.value : 0;
+  updateFill(Infinity);
+  finishAnnotations();
+  const saved = state.lineGroup.children.map((mesh) => {
+    const range = mesh.geometry.geometry.drawRange;
+    return { start: range.start, count: range.count };
+  });
+  state.lineGroup.children.forEach((mesh) => mesh.geometry.geometry.setDrawRange(0, Infinity));
+  const points = state.particleSystem && state.particleSystem.points;
+  const pointsVisible = points ? points.visible : false;
+  if (points) points.visible = false;
+  try {
+    return fn();
+  } finally {
+    state.lineGroup.children.forEach((mesh, i) => {
+      mesh.geometry.geometry.setDrawRange(saved[i].start, saved[i].count);
+    });
+    if (points) points.visible = pointsVisible;
+    if (state.fillMesh) state.fillMesh.material.uniforms.progress.value = fillProgress;
+    if (temporaryLayers) {
+      clearFill();
+      clearAnnotations();
+    }
+  }
+}
+
+// Render the finished outline at the chosen pixel size, independent
+// of the window, and download it as a PNG.  With the background
+// toggle off the PNG keeps an alpha channel.
+async function exportSnapshot() {
+  if (!state.currentCountry || !state.lineGroup) {
+    showStatus('Select a country before exporting.', 'error');
+    return;
+  }
+  if (state.exporting) return;
+  const { width, height } = readExportSize(false);
+  const transparent = !state.exportBackgroundToggle.checked;
+  const renderer = createOffscreenRenderer(width, height);
+  setExportButtonsDisabled(true);
+  try {
+    const camera = createExportCamera(width, height);
+    withFinishedOutline(() => renderOffscreen(renderer, camera, { transparent }));
+    const blob = await new Promise((resolve) => renderer.domElement.toBlob(resolve, 'image/png'));
+    if (!blob) {
+      throw new Error('the browser could not encode a ' + width + '×' + height + ' image');
+    }
+    downloadBlob(blob, exportFileName() + '-' + width + 'x' + height + '.png');
+  } catch (err) {
+    console.error(err);
+    showStatus('Snapshot failed: ' + err.message, 'error');
+  } finally {
+    disposeRenderer(renderer);
+    setExportButtonsDisabled(false);
+  }
+}
+
+// Seed for frame export.  Fixed so that exporting the same country,
+// theme and settings twice yields the same frames.
+const EXPORT_SEED = 0x5eed;
+// Seconds of still frames appended after the outline completes so
+// the last particles can fade out
+const EXPORT_HOLD_SECONDS = 1;
+
+// GIF89a encoder used for frame export.  Frames are quantised to a
+// fixed 6×7×6 colour cube rather than an adaptive palette, which keeps
+// the output byte-for-byte repeatable at the cost of some banding.
+class GifEncoder {
+  constructor(width, height, fps) {
+    this.width = width;
+    this.height = height;
+    // GIF delays are in hundredths of a second
+    this.delay = Math.max(2, Math.round(100 / fps));
+    this.chunks = [];
+    this.indices = new Uint8Array(width * height);
+    this.levelsR = GifEncoder.levels(6, 42);
+    this.levelsG = GifEncoder.levels(7, 6);
+    this.levelsB = GifEncoder.levels(6, 1);
+    this.writeHeader();
+  }
+  // Lookup table mapping a channel value to its palette index term
+  static levels(steps, stride) {
+    const table = new Uint8Array(256);
+    for (let v = 0; v < 256; v++) {
+      table[v] = Math.round((v * (steps - 1)) / 255) * stride;
+    }
+    return table;
+  }
+  writeHeader() {
+    const out = [];
+    pushAscii(out, 'GIF89a');
+    pushWord(out, this.width);
+    pushWord(out, this.height);
+    // Global colour table of 256 entries, 8 bits per channel
+    out.push(0xf7, 0, 0);
+    for (let r = 0; r < 6; r++) {
+      for (let g = 0; g < 7; g++) {
+        for (let b = 0; b < 6; b++) {
+          out.push(Math.round((r * 255) / 5), Math.round((g * 255) / 6), Math.round((b * 255) / 5));
+        }
+      }
+    }
+    // Pad the 252-colour cube to the declared 256 entries
+    for (let i = 252; i < 256; i++) out.push(0, 0, 0);
+    // NETSCAPE2.0 application extension: loop forever
+    out.push(0x21, 0xff, 0x0b);
+    pushAscii(out, 'NETSCAPE2.0');
+    out.push(0x03, 0x01, 0x00, 0x00, 0x00);
+    this.chunks.push(Uint8Array.from(out));
+  }
+  addFrame(rgba) {
+    const indices = this.indices;
+    for (let i = 0, p = 0; i < indices.length; i++, p += 4) {
+      indices[i] = this.levelsR[rgba[p]] + this.levelsG[rgba[p + 1]] + this.levelsB[rgba[p + 2]];
+    }
+    const out = [];
+    // Graphic control extension: frame delay, no transparency
+    out.push(0x21, 0xf9, 0x04, 0x04);
+    pushWord(out, this.delay);
+    out.push(0x00, 0x00);
+    // Image descriptor covering the whole canvas
+    out.push(0x2c);
+    pushWord(out, 0);
+    pushWord(out, 0);
+    pushWord(out, this.width);
+    pushWord(out, this.height);
+    out.push(0x00);
+    // LZW-compressed pixel data in sub-blocks of at most 255 bytes
+    out.push(8);
+    const data = lzwEncode(indices, 8);
+    for (let i = 0; i < data.length; i += 255) {
+      const block = data.subarray(i, i + 255);
+      out.push(block.length);
+      for (let j = 0; j < block.length; j++) out.push(block[j]);
+    }
+    out.push(0x00);
+    this.chunks.push(Uint8Array.from(out));
+  }
+  finish() {
+    this.chunks.push(Uint8Array.of(0x3b));
+    return new Blob(this.chunks, { type: 'image/gif' });
+  }
+}
+
+function pushAscii(out, text) {
+  for (let i = 0; i < text.length; i++) out.push(text.charCodeAt(i));
+}
+
+function pushWord(out, value) {
+  out.push(value & 0xff, (value >> 8) & 0xff);
+}
+
+// Variable-width LZW as specified for GIF image data
+function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const out = new Uint8Array(Math.ceil(indices.length * 1.5) + 16);
+  let length = 0;
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+  let buffer = 0;
+  let bits = 0;
+  const write = (code) => {
+    buffer |= code << bits;
+    bits += codeSize;
+    while (bits >= 8) {
+      out[length++] = buffer & 0xff;
+      buffer >>>= 8;
+      bits -= 8;
+    }
+  };
+  write(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = prefix * 256 + k;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    write(prefix);
+    if (nextCode < 4096) {
+      table.set(key, nextCode++);
+      if (nextCode > 1 << codeSize && codeSize < 12) codeSize++;
+    } else {
+      // Table full: start over with a clear code
+      write(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    }
+    prefix = k;
+  }
+  write(prefix);
+  write(endCode);
+  if (bits > 0) out[length++] = buffer & 0xff;
+  return out.subarray(0, length);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Frame sink that encodes GIF frames from the export canvas
+function createGifSink(canvas, { width, height, fps }) {
+  const gif = new GifEncoder(width, height, fps);
+  const readback = document.createElement('canvas');
+  readback.width = width;
+  readback.height = height;
+  const ctx = readback.getContext('2d', { willReadFrequently: true });
+  return {
+    extension: 'gif',
+    async addFrame() {
+      ctx.drawImage(canvas, 0, 0);
+      gif.addFrame(ctx.getImageData(0, 0, width, height).data);
+    },
+    async finish() {
+      return gif.finish();
+    },
+  };
+}
+
+// Frame sink that encodes WebM.  WebCodecs plus webm-muxer stamps
+// every frame with its exact timestamp, so output is repeatable.
+// Browsers without WebCodecs fall back to MediaRecorder, which paces
+// frames in real time and so is only approximately repeatable.
+function createWebmSink(canvas, { width, height, fps }) {
+  if (window.VideoEncoder && window.VideoFrame && window.WebMMuxer) {
+    const muxer = new window.WebMMuxer.Muxer({
+      target: new window.WebMMuxer.ArrayBufferTarget(),
+      video: { codec: 'V_VP9', width, height, frameRate: fps },
+    });
+    let encodeError = null;
+    const encoder = new window.VideoEncoder({
+      output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+      error: (err) => {
+        encodeError = err;
+      },
+    });
+    encoder.configure({
+      codec: 'vp09.00.10.08',
+      width,
+      height,
+      bitrate: 12000000,
+      framerate: fps,
+    });
+    const frameDuration = 1000000 / fps;
+    return {
+      extension: 'webm',
+      async addFrame(index) {
+        if (encodeError) throw encodeError;
+        const frame = new window.VideoFrame(canvas, {
+          timestamp: Math.round(index * frameDuration),
+          duration: Math.round(frameDuration),
+        });
+        encoder.encode(frame, { keyFrame: index % (fps * 2) === 0 });
+        frame.close();
+        // Keep the encoder queue (and memory) bounded
+        while (encoder.encodeQueueSize > 4) await sleep(1);
+      },
+      async finish() {
+        await encoder.flush();
+        if (encodeError) throw encodeError;
+        encoder.close();
+        muxer.finalize();
+        return new Blob([muxer.target.buffer], { type: 'video/webm' });
+      },
+    };
+  }
+  if (!window.MediaRecorder || !canvas.captureStream) {
+    throw new Error('this browser cannot encode WebM video; export a GIF instead');
+  }
+  const stream = canvas.captureStream(0);
+  const track = stream.getVideoTracks()[0];
+  const recorder = new MediaRecorder(stream, { mimeType: 'video/webm' });
+  const chunks = [];
+  recorder.ondataavailable = (e) => chunks.push(e.data);
+  recorder.start();
+  return {
+    extension: 'webm',
+    async addFrame() {
+      track.requestFrame();
+      await sleep(1000 / fps);
+    },
+    async finish() {
+      await new Promise((resolve) => {
+        recorder.onstop = resolve;
+        recorder.stop();
+      });
+      return new Blob(chunks, { type: 'video/webm' });
+    },
+  };
+}
+
+function setExportButtonsDisabled(disabled) {
+  document.querySelectorAll('#exportControls button').forEach((button) => {
+    button.disabled = disabled;
+  });
+}
+
+// Render the draw animation frame by frame at a fixed timestep and
+// encode it.  The tween is started at time zero and advanced by
+// exactly 1/fps per frame, particles get the same fixed dt and a
+// seeded random source, and every frame is rendered offscreen at the
+// chosen resolution, so repeated exports produce identical frames.
+async function exportVideo() {
+  if (!state.currentCountry) {
+    showStatus('Select a country before exporting.', 'error');
+    return;
+  }
+  if (state.exporting) return;
+  const format = state.exportFormat.value;
+  const fps = parseInt(state.exportFps.value, 10);
+  const { width, height } = readExportSize(format === 'webm');
+  const frameCount =
+    Math.ceil((state.animationDuration / 1000) * fps) + 1 + Math.round(EXPORT_HOLD_SECONDS * fps);
+  const previousRandom = state.random;
+  const previousAnimating = state.animating;
+  state.exporting = true;
+  setExportButtonsDisabled(true);
+  const renderer = createOffscreenRenderer(width, height);
+  try {
+    state.random = createSeededRandom(EXPORT_SEED);
+    state.animating = true;
+    redraw();
+    // Load subdivisions up front so the layer appears in the export
+    // whatever the network timing
+    await preloadSubdivisions();
+    const camera = createExportCamera(width, height);
+    const sink =
+      format === 'gif'
+        ? createGifSink(renderer.domElement, { width, height, fps })
+        : createWebmSink(renderer.domElement, { width, height, fps });
+    // Restart the tween on a virtual clock that begins at zero
+    const tween = state.animationTween;
+    tween.stop();
+    tween.start(0);
+    for (let frame = 0; frame < frameCount; frame++) {
+      tween.update((frame * 1000) / fps);
+      if (state.particleSystem) {
+        state.particleSystem.update(frame === 0 ? 0 : 1 / fps);
+      }
+      updateFill(frame === 0 ? 0 : 1 / fps);
+      updateAnnotations(frame === 0 ? 0 : 1 / fps);
+      updateSubdivisionLayer(frame === 0 ? 0 : 1 / fps);
+      renderOffscreen(renderer, camera);
+      await sink.addFrame(frame);
+      if (frame % 10 === 0) {
+        showStatus('Rendering frame ' + (frame + 1) + ' of ' + frameCount + '…', 'info');
+        // Let the status banner paint
+        await sleep(0);
+      }
+    }
+    showStatus('Encoding ' + sink.extension.toUpperCase() + '…', 'info');
+    const blob = await sink.finish();
+    downloadBlob(blob, exportFileName() + '.' + sink.extension);
+    showStatus('');
+  } catch (err) {
+    console.error(err);
+    showStatus('Video export failed: ' + err.message, 'error');
+  } finally {
+    disposeRenderer(renderer);
+    state.random = previousRandom;
+    state.animating = previousAnimating;
+    state.exporting = false;
+    setExportButtonsDisabled(false);
+    // Resume the live view from a fresh draw
+    redraw();
+  }
+}
+
+// Admin-1 (state/province) boundaries.  A per-country file in
+// data/admin1/<id>.json (GeoJSON or TopoJSON) is used when present;
+// nearly every country has one bundled.  Otherwise subdivisions come
+// from Natural Earth's 50m admin-1 layer, which covers the larger
+// federal countries.
+const ADMIN1_LOCAL_DIR = 'data/admin1/';
+const ADMIN1_CDN_URL =
+  'https://cdn.jsdelivr.net/gh/nvkelso/natural-earth-vector@v5.1.2/geojson/ne_50m_admin_1_states_provinces.geojson';
+// The CDN file holds every covered country, so fetch it only once
+let admin1CdnFeatures = null;
+
+// Only world-atlas countries have subdivisions; imported shapes and
+// subdivisions themselves do not.
+function isCountryFeature(feature) {
+  return typeof feature.id === 'string' && /^\d+$/.test(feature.id);
+}
+
+async function fetchAdmin1Features(country) {
+  const localUrl = ADMIN1_LOCAL_DIR + country.id + '.json';
+  let local = null;
+  try {
+    local = await fetchJson(localUrl);
+  } catch (err) {
+    // Only a missing bundled file falls back to the CDN layer; a
+    // broken one is reported rather than quietly replaced
+    if (err.status !== 404) throw new Error(localUrl + ' ' + err.message);
+  }
+  if (local) {
+    return featuresFromJson(local, localUrl);
+  }
+  if (!admin1CdnFeatures) {
+    admin1CdnFeatures = fetchJson(ADMIN1_CDN_URL).then((data) => data.features || []);
+  }
+  let all;
+  try {
+    all = await admin1CdnFeatures;
+  } catch (err) {
+    admin1CdnFeatures = null;
+    throw err;
+  }
+  // world-atlas short names ("Dem. Rep. Congo") differ from Natural
+  // Earth's, so match on the ISO codes; the name is a last resort for
+  // countries without metadata
+  const meta = state.countryMeta[country.id] || {};
+  const name = country.properties.name;
+  return all.filter((f) => {
+    const props = f.properties || {};
+    if (meta.iso3 || meta.iso2) {
+      return props.adm0_a3 === meta.iso3 || props.iso_a2 === meta.iso2;
+    }
+    return props.admin === name;
+  });
+}
+
+// Resolve a "<subdivision>, <country>" query whose country's
+// subdivisions may not be registered yet: load them and search among
+// them only.  Returns null when the query names no such subdivision.
+async function searchSubdivision(query) {
+  const comma = query.lastIndexOf(',');
+  if (comma < 0) return null;
+  const parentQuery = query.slice(comma + 1).trim();
+  if (!parentQuery) return null;
+  const parentMatch = exactSearchMatch(parentQuery) || searchIndex(parentQuery, 1)[0];
+  const parent = parentMatch && featureForItem(parentMatch.item);
+  if (!parent || !isCountryFeature(parent)) return null;
+  await loadSubdivisions(parent);
+  return (
+    exactSearchMatch(query) ||
+    searchIndex(query, 10).find((match) => match.item.parentId === parent.id) ||
+    null
+  );
+}
+
+// Load, register and cache the subdivisions of a country.  Each one
+// becomes a feature with a parentId linking it to its country and a
+// parent-qualified search entry such as "Texas, United States of
+// America".
+async function loadSubdivisions(country) {
+  if (state.subdivisions[country.id]) {
+    return state.subdivisions[country.id];
+  }
+  const raw = await fetchAdmin1Features(country);
+  const datalist = document.getElementById('countriesList');
+  const parentName = country.properties.name;
+  const features = [];
+  raw.forEach((feature, n) => {
+    if (!feature.geometry || !DRAWABLE_TYPES.has(feature.geometry.type)) return;
+    rewindPolygons(feature.geometry);
+    const props = feature.properties || {};
+    const ownName = importedFeatureName(feature, parentName, n);
+    const code = props.iso_3166_2 || country.id + '-' + (n + 1);
+    const qualified = ownName + ', ' + parentName;
+    const sub = {
+      type: 'Feature',
+      id: 'admin1:' + code,
+      properties: { name: qualified, shortName: ownName, parentId: country.id, level: 1 },
+      geometry: feature.geometry,
+    };
+    const item = { name: qualified, id: sub.id, parentId: country.id };
+    state.features.push(sub);
+    addSearchItem(item);
+    const option = document.createElement('option');
+    option.value = qualified;
+    datalist.appendChild(option);
+    features.push(sub);
+  });
+  state.subdivisions[country.id] = features;
+  return features;
+}
+
+// Make sure the subdivisions of the displayed country are cached
+// before a video export.  Failures are left to showSubdivisionLayer()
+// to report.
+async function preloadSubdivisions() {
+  const country = state.selection.length === 1 ? state.selection[0] : null;
+  if (!state.showSubdivisions || !country || !isCountryFeature(country)) return;
+  try {
+    await loadSubdivisions(country);
+  } catch (err) {
+    // Reported when the outline completes
+  }
+}
+
+function clearSubdivisionLayer() {
+  state.subdivisionReveal = null;
+  if (state.subdivisionGroup) {
+    state.scene.remove(state.subdivisionGroup);
+    state.subdivisionGroup = null;
+  }
+}
+
+// Draw the subdivisions of the displayed country as a thinner, fainter
+// line layer on top of the finished national outline.  Once loaded
+// they are cached, so the layer is built at once when the outline
+// completes again (replays, exports).
+function showSubdivisionLayer() {
+  const country = state.selection.length === 1 ? state.selection[0] : null;
+  if (!country || !isCountryFeature(country)) return;
+  if (state.subdivisions[country.id]) {
+    buildSubdivisionLayer(country, state.subdivisions[country.id]);
+    return;
+  }
+  loadSubdivisions(country).then(
+    (subdivisions) => {
+      // The selection may have changed, or the draw restarted, while
+      // loading
+      const drawing = state.animationTween && state.animationTween.isPlaying();
+      if (state.selection[0] !== country || !state.showSubdivisions || drawing) return;
+      buildSubdivisionLayer(country, subdivisions);
+    },
+    (err) => showStatus('Could not load subdivisions: ' + err.message, 'error')
+  );
+}
+
+function buildSubdivisionLayer(country, subdivisions) {
+  if (!subdivisions.length) {
+    showStatus('No subdivision data for ' + country.properties.name + '.', 'info');
+    return;
+  }
+  clearSubdivisionLayer();
+  const theme = THEMES[state.themeKey];
+  const rings = fitLayoutRings(subdivisions);
+  const group = createLineMeshes(rings, {
+    colors: theme.colors,
+    lineWidths: [theme.lineWidths[0] * 0.5],
+    opacities: [0.45],
+    blending: [THREE.NormalBlending],
+  });
+  group.userData.rings = rings;
+  state.subdivisionGroup = group;
+  state.scene.add(group);
+  if (state.animating) {
+    // A short reveal after the main outline, all boundaries in parallel
+    state.subdivisionReveal = { elapsed: 0, duration: Math.max(600, state.animationDuration * 0.25) };
+    revealSubdivisions(0);
+  } else {
+    revealSubdivisions(1);
+  }
+  render();
+}
+
+function revealSubdivisions(progress) {
+  const group = state.subdivisionGroup;
+  group.children.forEach((mesh) => {
+    const ring = group.userData.rings[mesh.userData.ringIndex];
+    setMeshVertexCount(mesh, Math.floor(progress * (ring.length / 3)));
+  });
+}
+
+// Advance the subdivision reveal by `dt` seconds of the playback clock
+function updateSubdivisionLayer(dt) {
+  const reveal = state.subdivisionReveal;
+  if (!reveal) return;
+  reveal.elapsed += dt * 1000;
+  const t = Math.min(1, reveal.elapsed / reveal.duration);
+  revealSubdivisions(Tween.Easing.Quadratic.Out(t));
+  if (t >= 1) state.subdivisionReveal = null;
+}
+
+// Indices into the world-atlas countries collection for the features
+// of the current selection.  Imported shapes and subdivisions have no
+// topology and are skipped.
+function selectionTopologyIndices() {
+  const indices = [];
+  for (const feature of state.selection) {
+    const i = state.features.indexOf(feature);
+    if (i >= 0 && i < state.countryCount) indices.push(i);
+  }
+  return indices;
+}
+
+// Countries sharing an arc with the selection, excluding the selection
+function neighbourFeatures() {
+  const selected = new Set(selectionTopologyIndices());
+  const result = new Set();
+  for (const i of selected) {
+    for (const j of state.neighbors[i]) {
+      if (!selected.has(j)) result.add(j);
+    }
+  }
+  return [...result].map((j) => state.features[j]);
+}
+
+function clearContextLayers() {
+  for (const key of ['contextGroup', 'borderGroup']) {
+    if (state[key]) {
+      state.scene.remove(state[key]);
+      state[key] = null;
+    }
+  }
+  state.contextNeighbours = [];
+}
+
+// Build a fully drawn, single-layer line group
+function createStaticLines(rings, style) {
+  const group = createLineMeshes(rings, {
+    colors: [style.color],
+    lineWidths: [style.width],
+    opacities: [style.opacity],
+    blending: [THREE.NormalBlending],
+  });
+  group.children.forEach((mesh) => {
+    setMeshVertexCount(mesh, rings[mesh.userData.ringIndex].length / 3);
+  });
+  return group;
+}
+
+// Draw the selection's neighbours faintly behind the outline.  They
+// share the selection's projection and fit, so they run off the edges
+// of the view; with Albers USA only the parts inside its domain show.
+function showContextLayer() {
+  const neighbours = neighbourFeatures();
+  state.contextNeighbours = neighbours;
+  if (!neighbours.length) return;
+  const theme = THEMES[state.themeKey];
+  const group = createStaticLines(fitFeatureRings(neighbours), {
+    color: theme.colors[0],
+    width: theme.lineWidths[0],
+    opacity: 0.18,
+  });
+  // Render before the outline so it stays behind it
+  group.renderOrder = -1;
+  group.children.forEach((mesh) => {
+    mesh.renderOrder = -1;
+  });
+  state.contextGroup = group;
+  state.scene.add(group);
+}
+
+// Once the outline is drawn, restyle the land borders it shares with
+// neighbours so they read differently from coastlines: a thinner core
+// in the theme's border colour over the glow.
+function showBorderLayer() {
+  const selected = new Set(selectionTopologyIndices());
+  if (!selected.size) return;
+  const geometries = state.world.objects.countries.geometries;
+  const indexOf = new Map(geometries.map((g, i) => [g, i]));
+  const borders = topojson.mesh(state.world, state.world.objects.countries, (a, b) => {
+    const inA = selected.has(indexOf.get(a));
+    const inB = selected.has(indexOf.get(b));
+    return a !== b && inA !== inB;
+  });
+  const rings = fitFeatureRings([{ type: 'Feature', geometry: borders }]);
+  if (!rings.length) return;
+  const theme = THEMES[state.themeKey];
+  const group = createStaticLines(rings, {
+    color: theme.borderColor || theme.colors[0],
+    width: theme.lineWidths[0],
+    opacity: 1.0,
+  });
+  state.borderGroup = group;
+  state.scene.add(group);
+  render();
+}
+
+// Features that can be clicked on the canvas, in priority order
+function pickableFeatures() {
+  const features = [];
+  const country = state.selection.length === 1 ? state.selection[0] : null;
+  if (state.showSubdivisions && country && state.subdivisionGroup) {
+    features.push(...(state.subdivisions[country.id] || []));
+  }
+  if (state.showContext) {
+    features.push(...state.contextNeighbours);
+  }
+  return features;
+}
+
+// Drill into (or jump to) whatever pickable feature lies under a
+// canvas click
+function handleCanvasClick(e) {
+  if (!state.fit || !state.projection) return;
+  if (state.placingCallout) {
+    const lonLat = unfitPoint(...eventToWorld(e));
+    if (lonLat) placeCallout(lonLat);
+    return;
+  }
+  const candidates = pickableFeatures();
+  if (!candidates.length) return;
+  const [x, y] = eventToWorld(e);
+  const lonLat = unfitPoint(x, y);
+  if (!lonLat) return;
+  const hit = candidates.find((feature) => d3Geo.geoContains(feature, lonLat));
+  if (hit) {
+    state.countryInput.value = hit.properties.name;
+    drawFeatures([hit]);
+  }
+}
+
+// Draw a picked feature.  In multi-select mode it is added to the
+// current selection (or removed if already present) instead of
+// replacing it.
+function selectFeature(feature) {
+  if (!state.multiSelect) {
+    drawFeatures([feature]);
+    return;
+  }
+  const selection = state.selection.includes(feature)
+    ? state.selection.filter((f) => f !== feature)
+    : state.selection.concat(feature);
+  state.countryInput.value = '';
+  if (selection.length) {
+    drawFeatures(selection);
+  } else {
+    clearSelection();
+  }
+}
+
+function clearSelection() {
+  clearOutline();
+  state.selection = [];
+  state.selectionLabel = '';
+  state.selectionRegion = null;
+  state.currentCountry = null;
+  state.outlineRings = null;
+  state.regionSelect.value = '';
+  renderSelectionChips();
+  updateStatsPanel();
+  syncUrl();
+  render();
+}
+
+// Show the selected features as removable chips when more than one
+// is drawn or multi-select is on.  Hidden during a quiz, where the
+// chip would name the answer.
+function renderSelectionChips() {
+  const container = state.selectionChips;
+  if (!container) return;
+  container.innerHTML = '';
+  const show =
+    !state.quiz && (state.selection.length > 1 || (state.multiSelect && state.selection.length > 0));
+  container.classList.toggle('hidden', !show);
+  if (!show) return;
+  state.selection.forEach((feature) => {
+    const chip = document.createElement('button');
+    chip.className = 'chip';
+    chip.textContent = feature.properties.name + ' ×';
+    chip.setAttribute('aria-label', 'Remove ' + feature.properties.name);
+    chip.addEventListener('click', () => {
+      const rest = state.selection.filter((f) => f !== feature);
+      if (rest.length) {
+        drawFeatures(rest);
+      } else {
+        clearSelection();
+      }
+    });
+    container.appendChild(chip);
+  });
+}
+
+// Fill a <select> from a { value: label } map
+function populateOptions(select, options, selected) {
+  for (const [value, label] of Object.entries(options)) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+  select.value = selected;
+}
+
+// Fill the region picker from the region table: continents, UN
+// subregions and named groups.  Option values are "region:<name>",
+// "subregion:<name>" or "group:<key>".
+function populateRegionSelect() {
+  const select = state.regionSelect;
+  if (!state.regions) {
+    select.classList.add('hidden');
+    return;
+  }
+  const regions = new Set();
+  const subregions = new Set();
+  for (const meta of Object.values(state.regions.countries)) {
+    regions.add(meta.region);
+    subregions.add(meta.subregion);
+  }
+  const addGroup = (label, entries) => {
+    const optgroup = document.createElement('optgroup');
+    optgroup.label = label;
+    entries.forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      optgroup.appendChild(option);
+    });
+    select.appendChild(optgroup);
+  };
+  const byName = (a, b) => a[1].localeCompare(b[1]);
+  addGroup('Continents', [...regions].map((r) => ['region:' + r, r]).sort(byName));
+  addGroup(
+    'Subregions',
+    [...subregions]
+      .filter((r) => !regions.has(r))
+      .map((r) => ['subregion:' + r, r])
+      .sort(byName)
+  );
+  addGroup(
+    'Groups',
+    Object.entries(state.regions.groups || {}).map(([key, group]) => ['group:' + key, group.name])
+  );
+}
+
+// Resolve a region picker value to its name and member features
+function featuresForRegion(value) {
+  const split = value.indexOf(':');
+  const kind = value.slice(0, split);
+  const key = value.slice(split + 1);
+  const table = state.regions.countries;
+  let ids;
+  let name = key;
+  if (kind === 'group') {
+    const group = state.regions.groups[key];
+    ids = new Set(group.ids);
+    name = group.name;
+  } else {
+    ids = new Set(Object.keys(table).filter((id) => table[id][kind] === key));
+  }
+  const countries = state.features.slice(0, state.countryCount);
+  return { name, features: countries.filter((f) => ids.has(regionKey(f))) };
+}
+
+// Shareable URL state.  The query string carries the selection
+// (`country`: comma-separated ISO codes, or `region`: a region picker
+// value), `theme`, `animate` (1/0) and `duration` in seconds, e.g.
+// ?country=JPN&theme=neon&animate=1&duration=8.  Every new selection
+// pushes a history entry so back/forward step through earlier draws;
+// setting changes replace the current entry.  Other parameters such
+// as ?data= are left alone.
+const URL_PARAMS = ['country', 'region', 'theme', 'animate', 'duration'];
+
+// Find a country by the code used in links: its ISO 3166 alpha-3 or
+// alpha-2 code, its id (the numeric code, with or without leading
+// zeros) or its exact name
+function featureByCode(code) {
+  const value = code.trim();
+  if (!value) return null;
+  const numeric = /^\d{1,3}$/.test(value) ? value.padStart(3, '0') : null;
+  const upper = value.toUpperCase();
+  const lower = value.toLowerCase();
+  const metaId = Object.keys(state.countryMeta).find(
+    (id) => state.countryMeta[id].iso3 === upper || state.countryMeta[id].iso2 === upper
+  );
+  return (
+    state.features.find((f) => f.id !== undefined && [value, numeric, metaId].includes(f.id)) ||
+    state.features.find((f) => (f.properties.name || '').toLowerCase() === lower) ||
+    null
+  );
+}
+
+// Code written to links for a feature: alpha-3 where known, else the
+// id, else the name (N. Cyprus, Somaliland and Kosovo have no id)
+function featureCode(feature) {
+  const meta = state.countryMeta[feature.id];
+  if (meta && meta.iso3) return meta.iso3;
+  return feature.id === undefined ? feature.properties.name : String(feature.id);
+}
+
+// Query string for the current state, keeping unrelated parameters
+function urlForState() {
+  const params = new URLSearchParams(window.location.search);
+  URL_PARAMS.forEach((key) => params.delete(key));
+  if (state.selectionRegion) {
+    params.set('region', state.selectionRegion);
+  } else if (state.selection.length) {
+    // Imported shapes and loaded subdivisions (ids with a namespace
+    // prefix) only exist in the session that added them
+    const ids = state.selection.filter((f) => !String(f.id).includes(':')).map(featureCode);
+    if (ids.length) params.set('country', ids.join(','));
+  }
+  params.set('theme', state.themeKey);
+  params.set('animate', state.animating ? '1' : '0');
+  params.set('duration', String(state.animationDuration / 1000));
+  const query = params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+  return window.location.pathname + (query ? '?' + query : '') + window.location.hash;
+}
+
+// Record the current state in the address bar: a new history entry
+// when the selection changed, otherwise an in-place update
+function syncUrl() {
+  // Quiz outlines stay out of the address bar, which would give away
+  // the answer, and an unattended tour would flood the history
+  if (state.restoringUrl || state.quiz || state.tour) return;
+  const url = urlForState();
+  const current = window.location.pathname + window.location.search + window.location.hash;
+  if (url === current) return;
+  const selectionOf = (href) => {
+    const params = new URLSearchParams(href.split('?')[1] || '');
+    return (params.get('country') || '') + '|' + (params.get('region') || '');
+  };
+  if (selectionOf(url.split('#')[0]) !== selectionOf(current.split('#')[0])) {
+    window.history.pushState(null, '', url);
+  } else {
+    window.history.replaceState(null, '', url);
+  }
+}
+
+// Apply the state encoded in the current URL: settings first, then
+// the selection.  Unknown codes are reported but do not stop the rest.
+function restoreUrlState() {
+  const params = new URLSearchParams(window.location.search);
+  state.restoringUrl = true;
+  try {
+    clearSelection();
+    const theme = params.get('theme');
+    if (theme && THEMES[theme]) {
+      state.themeSelect.value = theme;
+      setTheme(theme);
     }
-    transformedRings.push(coords);
-  }
-  // Adjust camera frustum to match container dims.  We set the
-  // orthographic bounds equal to half of container size in world units
-  // (scale implicitly maps world coords into pixel space).  We choose
-  // symmetrical bounds around zero.  Because we scaled the data to
-  // fill [-(width/2-margin), (width/2-margin)] etc, we can simply
-  // set camera left/right to ± width/2 and top/bottom to ± height/2.
-  const left = -width / 2;
-  const right = width / 2;
-  const topVal = height / 2;
-  const bottomVal = -height / 2;
-  state.camera.left = left;
-  state.camera.right = right;
-  state.camera.top = topVal;
-  state.camera.bottom = bottomVal;
-  state.camera.updateProjectionMatrix();
-  // Build line meshes according to theme
-  const group = createLineMeshes(transformedRings, theme);
-  state.lineGroup = group;
-  state.scene.add(group);
-  // Build particle system if theme defines one
+    const animate = params.get('animate');
+    if (animate !== null) {
+      state.animating = animate !== '0' && animate !== 'false';
+      state.animateToggle.checked = state.animating;
+    }
+    const duration = parseInt(params.get('duration'), 10);
+    if (isFinite(duration)) {
+      const min = parseInt(state.durationSlider.min, 10);
+      const max = parseInt(state.durationSlider.max, 10);
+      const seconds = Math.max(min, Math.min(max, duration));
+      state.durationSlider.value = seconds;
+      state.durationValue.textContent = seconds + 's';
+      state.animationDuration = seconds * 1000;
+    }
+    const region = params.get('region');
+    const codes = (params.get('country') || '').split(',').filter((c) => c.trim());
+    if (region && state.regions) {
+      const group = featuresForRegion(region);
+      if (group.features.length) {
+        drawFeatures(group.features, group.name, region);
+      } else {
+        showStatus('Unknown region in link: ' + region, 'error');
+      }
+    } else if (codes.length) {
+      const features = codes.map(featureByCode).filter(Boolean);
+      if (features.length < codes.length) {
+        showStatus('Unknown country in link: ' + codes.filter((c) => !featureByCode(c)).join(', '), 'error');
+      }
+      if (features.length) {
+        state.countryInput.value = features.length === 1 ? features[0].properties.name : '';
+        drawFeatures(features);
+      }
+    }
+  } finally {
+    state.restoringUrl = false;
+  }
+}
+
+// Restore the linked state and follow back/forward navigation
+function setupHistory() {
+  restoreUrlState();
+  window.addEventListener('popstate', restoreUrlState);
+}
+
+// User-defined themes.  Built-in themes stay as defined above; edits
+// made in the theme editor go to custom themes, which are kept in
+// localStorage and can be exported and imported as JSON.  Editing a
+// built-in theme first copies it.
+const THEME_STORAGE_KEY = 'countryOutliner.themes';
+const MAX_THEME_LAYERS = 6;
+
+// Blending modes by the names used in theme JSON
+const BLENDING_MODES = {
+  normal: THREE.NormalBlending,
+  additive: THREE.AdditiveBlending,
+  subtractive: THREE.SubtractiveBlending,
+  multiply: THREE.MultiplyBlending,
+};
+
+function blendingName(value) {
+  return Object.keys(BLENDING_MODES).find((name) => BLENDING_MODES[name] === value) || 'normal';
+}
+
+function hexFromNumber(value) {
+  return '#' + value.toString(16).padStart(6, '0');
+}
+
+// Plain JSON form of a theme: blending modes by name and the particle
+// colour as a hex string
+function serializeTheme(theme) {
+  const json = {
+    name: theme.name,
+    background: theme.background,
+    colors: theme.colors.slice(),
+    borderColor: theme.borderColor || theme.colors[0],
+    font: theme.font || DEFAULT_LABEL_FONT,
+    lineWidths: theme.lineWidths.slice(),
+    opacities: theme.opacities.slice(),
+    blending: theme.blending.map(blendingName),
+    offsets: theme.lineWidths.map((w, i) => (theme.offsets && theme.offsets[i]) || 0),
+    fill: themeFill(theme),
+    post: themePost(theme),
+    particle: null,
+  };
   if (theme.particle) {
-    state.particleSystem = new ParticleSystem(state.scene, theme.particle);
+    const particle = Object.assign({}, PARTICLE_DEFAULTS, theme.particle);
+    json.particle = Object.assign(particle, {
+      color: hexFromNumber(particle.color),
+      colorEnd: hexFromNumber(particle.colorEnd === null ? particle.color : particle.colorEnd),
+      sizeEnd: particle.sizeEnd === null ? particle.size : particle.sizeEnd,
+    });
   }
-  // Compute maximum vertices across rings
-  const maxVertices = computeMaxVertices(transformedRings);
-  // Cancel existing animation tween
-  if (state.animationTween) {
-    state.animationTween.stop();
+  return json;
+}
+
+// Validate theme JSON and convert it to the in-memory form.  Throws
+// with the first problem found.
+function parseTheme(json) {
+  if (!json || typeof json !== 'object') throw new Error('Theme must be a JSON object');
+  const isColour = (value) => typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value);
+  const isNumber = (value) => typeof value === 'number' && isFinite(value);
+  if (typeof json.name !== 'string' || !json.name.trim()) throw new Error('Theme needs a name');
+  if (!isColour(json.background)) throw new Error('background must be a #rrggbb colour');
+  if (!Array.isArray(json.colors) || !json.colors.length || !json.colors.every(isColour)) {
+    throw new Error('colors must be a list of #rrggbb colours');
   }
-  // Duration in ms
-  const duration = state.animationDuration;
-  // Prepare tween value
-  const params = { progress: 0 };
-  const tween = new Tween.Tween(params)
-    .to({ progress: 1 }, duration)
-    .easing(Tween.Easing.Linear.None)
-    .onUpdate(() => {
-      // Update draw range for each ring in each mesh layer
-      const drawCount = Math.floor(params.progress * maxVertices);
-      group.children.forEach((mesh) => {
-        const geom = mesh.geometry;
-        geom.geometry.setDrawRange(0, drawCount);
-      });
-      // Spawn particles at current head position (approximate using last drawn vertices)
-      if (state.particleSystem && state.animating) {
-        // Determine head position from the first ring (largest) if exists
-        if (transformedRings.length > 0) {
-          const ring = transformedRings[0];
-          const idx = Math.min(drawCount - 1, ring.length / 3 - 1);
-          if (idx >= 0) {
-            const x = ring[idx * 3];
-            const y = ring[idx * 3 + 1];
-            state.particleSystem.spawn(x, y, 4);
-          }
-        }
+  const widths = json.lineWidths;
+  if (!Array.isArray(widths) || !widths.length || widths.length > MAX_THEME_LAYERS) {
+    throw new Error('lineWidths must list 1 to ' + MAX_THEME_LAYERS + ' layers');
+  }
+  if (!widths.every((w) => isNumber(w) && w > 0)) throw new Error('lineWidths must be positive numbers');
+  const layer = (list, i, fallback) => (Array.isArray(list) && list[i] !== undefined ? list[i] : fallback);
+  const opacities = widths.map((w, i) => layer(json.opacities, i, 1));
+  if (!opacities.every((o) => isNumber(o) && o >= 0 && o <= 1)) {
+    throw new Error('opacities must be numbers from 0 to 1');
+  }
+  const blending = widths.map((w, i) => {
+    const name = layer(json.blending, i, 'normal');
+    if (!(name in BLENDING_MODES)) throw new Error('Unknown blending mode: ' + name);
+    return BLENDING_MODES[name];
+  });
+  const offsets = widths.map((w, i) => layer(json.offsets, i, 0));
+  if (!offsets.every(isNumber)) throw new Error('offsets must be numbers');
+  const theme = {
+    name: json.name.trim(),
+    background: json.background,
+    colors: json.colors.slice(),
+    borderColor: isColour(json.borderColor) ? json.borderColor : json.colors[0],
+    font: typeof json.font === 'string' && json.font.trim() ? json.font.trim() : DEFAULT_LABEL_FONT,
+    lineWidths: widths.slice(),
+    opacities,
+    blending,
+    offsets,
+    fill: null,
+    post: null,
+    particle: null,
+  };
+  if (json.fill) {
+    const fill = Object.assign({}, DEFAULT_FILL, json.fill);
+    if (!(fill.style in FILL_STYLES)) throw new Error('Unknown fill style: ' + fill.style);
+    if (!isColour(fill.color) || !isColour(fill.color2)) {
+      throw new Error('fill.color and fill.color2 must be #rrggbb colours');
+    }
+    if (!isNumber(fill.opacity) || fill.opacity < 0 || fill.opacity > 1) {
+      throw new Error('fill.opacity must be a number from 0 to 1');
+    }
+    if (!isNumber(fill.spacing) || fill.spacing <= 0) throw new Error('fill.spacing must be a positive number');
+    if (!isNumber(fill.angle)) throw new Error('fill.angle must be a number');
+    theme.fill = fill;
+  }
+  if (json.post) {
+    const post = Object.assign({}, DEFAULT_POST, json.post);
+    if (post.bloom) {
+      const bloom = Object.assign({}, DEFAULT_BLOOM, post.bloom);
+      if (!isNumber(bloom.strength) || bloom.strength < 0) {
+        throw new Error('post.bloom.strength must be zero or more');
       }
-    })
-    .onComplete(() => {
-      // After the outline is fully drawn, ensure draw ranges are full
-      group.children.forEach((mesh) => {
-        const geom = mesh.geometry;
-        geom.geometry.setDrawRange(0, maxVertices);
-      });
+      if (!isNumber(bloom.radius) || bloom.radius <= 0) {
+        throw new Error('post.bloom.radius must be a positive number');
+      }
+      if (!isNumber(bloom.threshold) || bloom.threshold < 0 || bloom.threshold > 1) {
+        throw new Error('post.bloom.threshold must be a number from 0 to 1');
+      }
+      post.bloom = bloom;
+    }
+    if (!isNumber(post.chromaticAberration) || post.chromaticAberration < 0) {
+      throw new Error('post.chromaticAberration must be zero or more');
+    }
+    for (const key of ['vignette', 'scanlines']) {
+      if (!isNumber(post[key]) || post[key] < 0 || post[key] > 1) {
+        throw new Error('post.' + key + ' must be a number from 0 to 1');
+      }
+    }
+    theme.post = post;
+  }
+  if (json.particle) {
+    const p = json.particle;
+    if (!isColour(p.color)) throw new Error('particle.color must be a #rrggbb colour');
+    for (const key of ['size', 'max', 'speed', 'lifetime']) {
+      if (!isNumber(p[key]) || p[key] <= 0) throw new Error('particle.' + key + ' must be a positive number');
+    }
+    if (p.colorEnd !== undefined && !isColour(p.colorEnd)) {
+      throw new Error('particle.colorEnd must be a #rrggbb colour');
+    }
+    const optional = Object.assign({}, PARTICLE_DEFAULTS, p);
+    for (const key of ['alphaStart', 'alphaEnd']) {
+      if (!isNumber(optional[key]) || optional[key] < 0 || optional[key] > 1) {
+        throw new Error('particle.' + key + ' must be a number from 0 to 1');
+      }
+    }
+    for (const key of ['drift', 'trail']) {
+      if (!isNumber(optional[key]) || optional[key] < 0) {
+        throw new Error('particle.' + key + ' must be zero or more');
+      }
+    }
+    if (!isNumber(optional.gravity)) throw new Error('particle.gravity must be a number');
+    if (!isNumber(optional.rate) || optional.rate <= 0) throw new Error('particle.rate must be a positive number');
+    if (p.sizeEnd !== undefined && (!isNumber(p.sizeEnd) || p.sizeEnd <= 0)) {
+      throw new Error('particle.sizeEnd must be a positive number');
+    }
+    const colour = (hex) => parseInt(hex.slice(1).replace(/^(.)(.)(.)$/, '$1$1$2$2$3$3'), 16);
+    theme.particle = Object.assign({}, p, {
+      color: colour(p.color),
+      colorEnd: p.colorEnd === undefined ? colour(p.color) : colour(p.colorEnd),
+      max: Math.min(MAX_PARTICLES, Math.max(1, Math.round(p.max))),
+      trail: Math.min(MAX_PARTICLE_TRAIL, Math.round(optional.trail)),
     });
-  state.animationTween = tween;
-  // Start animation only if animating flag is true
-  if (state.animating) {
-    tween.start();
+  }
+  return theme;
+}
+
+// Register a custom theme under a fresh key and list it in the picker
+function addCustomTheme(theme) {
+  let n = 1;
+  while (THEMES['custom-' + n]) n++;
+  const key = 'custom-' + n;
+  THEMES[key] = theme;
+  state.customThemes.add(key);
+  addThemeOption(key);
+  return key;
+}
+
+function addThemeOption(key) {
+  const option = document.createElement('option');
+  option.value = key;
+  option.textContent = THEMES[key].name;
+  state.themeSelect.appendChild(option);
+}
+
+// Load custom themes saved by earlier sessions.  Entries that no
+// longer parse are skipped.
+function loadCustomThemes() {
+  let saved = null;
+  try {
+    saved = JSON.parse(window.localStorage.getItem(THEME_STORAGE_KEY) || 'null');
+  } catch (err) {
+    console.warn('Saved themes could not be read: ' + err.message);
+  }
+  if (!saved || typeof saved !== 'object') return;
+  for (const [key, json] of Object.entries(saved)) {
+    try {
+      THEMES[key] = parseTheme(json);
+      state.customThemes.add(key);
+      addThemeOption(key);
+    } catch (err) {
+      console.warn('Saved theme ' + key + ' skipped: ' + err.message);
+    }
+  }
+}
+
+function saveCustomThemes() {
+  const saved = {};
+  state.customThemes.forEach((key) => {
+    saved[key] = serializeTheme(THEMES[key]);
+  });
+  try {
+    window.localStorage.setItem(THEME_STORAGE_KEY, JSON.stringify(saved));
+  } catch (err) {
+    showStatus('Themes could not be saved: ' + err.message, 'error');
+  }
+}
+
+function selectTheme(key) {
+  state.themeSelect.value = key;
+  setTheme(key);
+  syncUrl();
+}
+
+// The theme the editor writes to.  A built-in theme is copied first
+// and the copy selected in its place, named "<theme> copy" unless the
+// edit was to the name itself.
+function editableTheme() {
+  if (!state.customThemes.has(state.themeKey)) {
+    const original = THEMES[state.themeKey];
+    const copy = parseTheme(serializeTheme(original));
+    const nameField = state.themeEditorFields.name;
+    const typed = nameField.value.trim();
+    if (!typed || typed === original.name) {
+      copy.name = original.name + ' copy';
+      nameField.value = copy.name;
+    }
+    selectTheme(addCustomTheme(copy));
+  }
+  return THEMES[state.themeKey];
+}
+
+// One editor row per line layer: width, opacity, blending and offset
+function themeLayerRow(theme, i) {
+  const row = document.createElement('div');
+  row.className = 'theme-layer';
+  const field = (label, input) => {
+    const wrap = document.createElement('label');
+    wrap.textContent = label + ' ';
+    wrap.appendChild(input);
+    row.appendChild(wrap);
+    return input;
+  };
+  const number = (key, value, step, min, max) => {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.step = step;
+    input.min = min;
+    if (max !== undefined) input.max = max;
+    input.value = value;
+    input.dataset.layerField = key;
+    return input;
+  };
+  field('Width', number('width', theme.lineWidths[i], 0.1, 0.1));
+  field('Opacity', number('opacity', theme.opacities[i], 0.05, 0, 1));
+  const select = document.createElement('select');
+  select.dataset.layerField = 'blending';
+  populateOptions(
+    select,
+    Object.fromEntries(Object.keys(BLENDING_MODES).map((name) => [name, name])),
+    blendingName(theme.blending[i])
+  );
+  field('Blend', select);
+  field('Offset', number('offset', (theme.offsets && theme.offsets[i]) || 0, 0.5, -20, 20));
+  const remove = document.createElement('button');
+  remove.className = 'action-button';
+  remove.textContent = '×';
+  remove.setAttribute('aria-label', 'Remove layer ' + (i + 1));
+  remove.dataset.removeLayer = i;
+  remove.disabled = theme.lineWidths.length === 1;
+  row.appendChild(remove);
+  return row;
+}
+
+// Show a theme's values in the editor
+function fillThemeEditor(theme) {
+  const f = state.themeEditorFields;
+  f.name.value = theme.name;
+  f.background.value = theme.background;
+  f.color.value = theme.colors[0];
+  f.borderColor.value = theme.borderColor || theme.colors[0];
+  f.font.value = theme.font || DEFAULT_LABEL_FONT;
+  f.layers.innerHTML = '';
+  theme.lineWidths.forEach((w, i) => f.layers.appendChild(themeLayerRow(theme, i)));
+  f.addLayer.disabled = theme.lineWidths.length >= MAX_THEME_LAYERS;
+  const fill = themeFill(theme) || DEFAULT_FILL;
+  f.fill.checked = !!theme.fill;
+  f.fillStyle.value = fill.style;
+  f.fillColor.value = fill.color;
+  f.fillColor2.value = fill.color2;
+  f.fillOpacity.value = fill.opacity;
+  f.fillSpacing.value = fill.spacing;
+  f.fillAngle.value = fill.angle;
+  const post = Object.assign({}, DEFAULT_POST, theme.post);
+  const bloom = Object.assign({}, DEFAULT_BLOOM, post.bloom);
+  f.bloom.checked = !!post.bloom;
+  f.bloomStrength.value = bloom.strength;
+  f.bloomRadius.value = bloom.radius;
+  f.bloomThreshold.value = bloom.threshold;
+  f.aberration.value = post.chromaticAberration;
+  f.vignette.value = post.vignette;
+  f.scanlines.value = post.scanlines;
+  const particle = Object.assign(
+    {},
+    PARTICLE_DEFAULTS,
+    theme.particle || { color: 0xffffff, size: 2, max: 80, speed: 6, lifetime: 0.9 }
+  );
+  f.particles.checked = !!theme.particle;
+  f.particleColor.value = hexFromNumber(particle.color);
+  f.particleColorEnd.value = hexFromNumber(particle.colorEnd === null ? particle.color : particle.colorEnd);
+  f.particleSize.value = particle.size;
+  f.particleSizeEnd.value = particle.sizeEnd === null ? particle.size : particle.sizeEnd;
+  f.particleMax.value = particle.max;
+  f.particleSpeed.value = particle.speed;
+  f.particleLifetime.value = particle.lifetime;
+  f.particleGravity.value = particle.gravity;
+  f.particleDrift.value = particle.drift;
+  f.particleTrail.value = particle.trail;
+  f.deleteTheme.disabled = !state.customThemes.has(state.themeKey);
+}
+
+// Read the editor into the theme being edited, save and preview.
+// Invalid numbers keep the previous value.
+function readThemeEditor() {
+  const theme = editableTheme();
+  const f = state.themeEditorFields;
+  const num = (input, fallback) => {
+    const value = parseFloat(input.value);
+    return isFinite(value) ? value : fallback;
+  };
+  theme.name = f.name.value.trim() || theme.name;
+  theme.background = f.background.value;
+  theme.colors = [f.color.value].concat(theme.colors.slice(1));
+  theme.borderColor = f.borderColor.value;
+  theme.font = f.font.value.trim() || theme.font;
+  Array.from(f.layers.children).forEach((row, i) => {
+    const input = (key) => row.querySelector('[data-layer-field="' + key + '"]');
+    theme.lineWidths[i] = Math.max(0.1, num(input('width'), theme.lineWidths[i]));
+    theme.opacities[i] = Math.max(0, Math.min(1, num(input('opacity'), theme.opacities[i])));
+    theme.blending[i] = BLENDING_MODES[input('blending').value];
+    theme.offsets[i] = num(input('offset'), theme.offsets[i]);
+  });
+  const previousFill = themeFill(theme) || DEFAULT_FILL;
+  theme.fill = f.fill.checked
+    ? {
+        style: f.fillStyle.value,
+        color: f.fillColor.value,
+        color2: f.fillColor2.value,
+        opacity: Math.max(0, Math.min(1, num(f.fillOpacity, previousFill.opacity))),
+        spacing: Math.max(2, num(f.fillSpacing, previousFill.spacing)),
+        angle: num(f.fillAngle, previousFill.angle),
+      }
+    : null;
+  const previousPost = Object.assign({}, DEFAULT_POST, theme.post);
+  const previousBloom = Object.assign({}, DEFAULT_BLOOM, previousPost.bloom);
+  const unit = (input, fallback) => Math.max(0, Math.min(1, num(input, fallback)));
+  theme.post = {
+    bloom: f.bloom.checked
+      ? {
+          strength: Math.max(0, num(f.bloomStrength, previousBloom.strength)),
+          radius: Math.max(0.5, num(f.bloomRadius, previousBloom.radius)),
+          threshold: unit(f.bloomThreshold, previousBloom.threshold),
+        }
+      : null,
+    chromaticAberration: Math.max(0, num(f.aberration, previousPost.chromaticAberration)),
+    vignette: unit(f.vignette, previousPost.vignette),
+    scanlines: unit(f.scanlines, previousPost.scanlines),
+  };
+  const previous = Object.assign({}, PARTICLE_DEFAULTS, theme.particle);
+  theme.particle = f.particles.checked
+    ? Object.assign({}, theme.particle, {
+        color: parseInt(f.particleColor.value.slice(1), 16),
+        colorEnd: parseInt(f.particleColorEnd.value.slice(1), 16),
+        size: Math.max(0.5, num(f.particleSize, previous.size || 2)),
+        sizeEnd: Math.max(0.1, num(f.particleSizeEnd, previous.sizeEnd || 1)),
+        max: Math.min(MAX_PARTICLES, Math.max(1, Math.round(num(f.particleMax, previous.max || 80)))),
+        speed: Math.max(0, num(f.particleSpeed, previous.speed || 6)),
+        lifetime: Math.max(0.1, num(f.particleLifetime, previous.lifetime || 0.9)),
+        gravity: num(f.particleGravity, previous.gravity),
+        drift: Math.max(0, num(f.particleDrift, previous.drift)),
+        trail: Math.min(MAX_PARTICLE_TRAIL, Math.max(0, Math.round(num(f.particleTrail, previous.trail)))),
+      })
+    : null;
+  state.themeSelect.querySelector('option[value="' + state.themeKey + '"]').textContent = theme.name;
+  f.deleteTheme.disabled = false;
+  saveCustomThemes();
+  previewThemeEdit();
+}
+
+// Apply edits shortly after the last change so dragging a value does
+// not restart the draw on every step
+function previewThemeEdit() {
+  clearTimeout(state.themePreviewTimer);
+  state.themePreviewTimer = setTimeout(() => setTheme(state.themeKey), 150);
+}
+
+// Add or remove a line layer and refresh the layer rows
+function editThemeLayers(change) {
+  const theme = editableTheme();
+  change(theme);
+  saveCustomThemes();
+  fillThemeEditor(theme);
+  previewThemeEdit();
+}
+
+function exportThemeJson() {
+  const theme = THEMES[state.themeKey];
+  const text = JSON.stringify(serializeTheme(theme), null, 2) + '\n';
+  const slug = foldText(theme.name).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'theme';
+  downloadBlob(new Blob([text], { type: 'application/json' }), slug + '.theme.json');
+}
+
+async function importThemeFile(file) {
+  try {
+    const theme = parseTheme(JSON.parse(await file.text()));
+    const key = addCustomTheme(theme);
+    saveCustomThemes();
+    selectTheme(key);
+    fillThemeEditor(theme);
+    showStatus('Imported theme "' + theme.name + '"', 'info');
+  } catch (err) {
+    showStatus(file.name + ': ' + err.message, 'error');
+  }
+}
+
+function deleteCustomTheme() {
+  const key = state.themeKey;
+  if (!state.customThemes.has(key)) return;
+  state.customThemes.delete(key);
+  delete THEMES[key];
+  state.themeSelect.querySelector('option[value="' + key + '"]').remove();
+  saveCustomThemes();
+  selectTheme('wireframe');
+  fillThemeEditor(THEMES.wireframe);
+}
+
+function setupThemeEditor() {
+  const byId = (id) => document.getElementById(id);
+  const panel = byId('themeEditor');
+  state.themeEditorFields = {
+    name: byId('themeName'),
+    background: byId('themeBackground'),
+    color: byId('themeColor'),
+    borderColor: byId('themeBorderColor'),
+    font: byId('themeFont'),
+    layers: byId('themeLayers'),
+    addLayer: byId('themeAddLayer'),
+    fill: byId('themeFill'),
+    fillStyle: byId('themeFillStyle'),
+    fillColor: byId('themeFillColor'),
+    fillColor2: byId('themeFillColor2'),
+    fillOpacity: byId('themeFillOpacity'),
+    fillSpacing: byId('themeFillSpacing'),
+    fillAngle: byId('themeFillAngle'),
+    bloom: byId('themeBloom'),
+    bloomStrength: byId('themeBloomStrength'),
+    bloomRadius: byId('themeBloomRadius'),
+    bloomThreshold: byId('themeBloomThreshold'),
+    aberration: byId('themeAberration'),
+    vignette: byId('themeVignette'),
+    scanlines: byId('themeScanlines'),
+    particles: byId('themeParticles'),
+    particleColor: byId('themeParticleColor'),
+    particleColorEnd: byId('themeParticleColorEnd'),
+    particleSize: byId('themeParticleSize'),
+    particleSizeEnd: byId('themeParticleSizeEnd'),
+    particleMax: byId('themeParticleMax'),
+    particleSpeed: byId('themeParticleSpeed'),
+    particleLifetime: byId('themeParticleLifetime'),
+    particleGravity: byId('themeParticleGravity'),
+    particleDrift: byId('themeParticleDrift'),
+    particleTrail: byId('themeParticleTrail'),
+    deleteTheme: byId('themeDeleteButton'),
+  };
+  populateOptions(state.themeEditorFields.fillStyle, FILL_STYLES, DEFAULT_FILL.style);
+  byId('themeEditButton').addEventListener('click', () => {
+    const open = panel.classList.toggle('hidden') === false;
+    if (open) fillThemeEditor(THEMES[state.themeKey]);
+  });
+  byId('themeEditorClose').addEventListener('click', () => panel.classList.add('hidden'));
+  panel.addEventListener('input', (e) => {
+    if (e.target.type !== 'file') readThemeEditor();
+  });
+  state.themeEditorFields.addLayer.addEventListener('click', () => {
+    editThemeLayers((theme) => {
+      const last = theme.lineWidths.length - 1;
+      theme.lineWidths.push(theme.lineWidths[last] * 2);
+      theme.opacities.push(theme.opacities[last] / 2);
+      theme.blending.push(THREE.AdditiveBlending);
+      theme.offsets.push(0);
+    });
+  });
+  state.themeEditorFields.layers.addEventListener('click', (e) => {
+    const i = e.target.dataset.removeLayer;
+    if (i === undefined) return;
+    editThemeLayers((theme) => {
+      ['lineWidths', 'opacities', 'blending', 'offsets'].forEach((key) => theme[key].splice(i, 1));
+    });
+  });
+  byId('themeExportButton').addEventListener('click', exportThemeJson);
+  byId('themeImportInput').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) importThemeFile(file);
+  });
+  state.themeEditorFields.deleteTheme.addEventListener('click', deleteCustomTheme);
+  // Keep the editor in step with the theme picker
+  state.themeSelect.addEventListener('change', () => {
+    if (!panel.classList.contains('hidden')) fillThemeEditor(THEMES[state.themeKey]);
+  });
+}
+
+// "Guess the country" quiz.  Random world-atlas countries are drawn
+// without their name and answered by typing; answers go through the
+// same exact-then-fuzzy matching as the search box.  The level limits
+// the pool by land area and the region picker by continent.
+const QUIZ_LEVELS = {
+  easy: { name: 'Easy (large countries)', minArea: 1000000 },
+  medium: { name: 'Medium', minArea: 250000 },
+  hard: { name: 'Hard (all countries)', minArea: 0 },
+};
+const QUIZ_LENGTH = 10;
+// Time the verdict stays up before the next outline
+const QUIZ_NEXT_DELAY = 1500;
+const EARTH_RADIUS_KM = 6371.0088;
+
+// Land area of a feature in km²
+function featureAreaKm2(feature) {
+  let area = d3Geo.geoArea(feature);
+  // A ring wound the wrong way covers the rest of the sphere
+  if (area > 2 * Math.PI) area = 4 * Math.PI - area;
+  return area * EARTH_RADIUS_KM * EARTH_RADIUS_KM;
+}
+
+// Countries the quiz can ask about for a level and region ('' for all)
+function quizPool(level, region) {
+  const minArea = QUIZ_LEVELS[level].minArea;
+  const table = state.regions ? state.regions.countries : {};
+  return state.features.slice(0, state.countryCount).filter((feature) => {
+    const meta = table[regionKey(feature)];
+    if (region && (!meta || meta.region !== region)) return false;
+    return featureAreaKm2(feature) >= minArea;
+  });
+}
+
+function shuffle(items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+// m:ss
+function formatElapsed(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return Math.floor(seconds / 60) + ':' + String(seconds % 60).padStart(2, '0');
+}
+
+function startQuiz() {
+  const ui = state.quizUI;
+  const pool = quizPool(ui.level.value, ui.region.value);
+  if (!pool.length) {
+    showStatus('No countries match that level and region.', 'info');
+    return;
+  }
+  showStatus('');
+  state.quiz = {
+    questions: shuffle(pool).slice(0, QUIZ_LENGTH),
+    current: 0,
+    score: 0,
+    streak: 0,
+    bestStreak: 0,
+    missed: [], // { feature, answer }
+    startedAt: performance.now(),
+    timer: setInterval(updateQuizStatus, 1000),
+    answered: false,
+  };
+  ui.setup.classList.add('hidden');
+  ui.review.classList.add('hidden');
+  ui.play.classList.remove('hidden');
+  state.countryInput.value = '';
+  askQuizQuestion();
+}
+
+function askQuizQuestion() {
+  const quiz = state.quiz;
+  const ui = state.quizUI;
+  quiz.answered = false;
+  ui.prompt.textContent =
+    'Which country is this? (' + (quiz.current + 1) + ' of ' + quiz.questions.length + ')';
+  ui.feedback.textContent = '';
+  ui.feedback.className = '';
+  ui.answer.value = '';
+  ui.answer.disabled = false;
+  ui.answer.focus();
+  updateQuizStatus();
+  drawFeatures([quiz.questions[quiz.current]], 'Quiz');
+}
+
+// Check a typed answer, or skip with an empty one
+function answerQuiz(answer) {
+  const quiz = state.quiz;
+  if (!quiz || quiz.answered) return;
+  const ui = state.quizUI;
+  const feature = quiz.questions[quiz.current];
+  const query = answer.trim();
+  const match = query ? exactSearchMatch(query) || searchIndex(query, 1)[0] : null;
+  quiz.answered = true;
+  ui.answer.disabled = true;
+  if (match && featureForItem(match.item) === feature) {
+    quiz.score++;
+    quiz.streak++;
+    quiz.bestStreak = Math.max(quiz.bestStreak, quiz.streak);
+    ui.feedback.textContent = 'Correct: ' + feature.properties.name;
+    ui.feedback.className = 'quiz-correct';
   } else {
-    // Immediately render full
-    params.progress = 1;
-    tween.onUpdateCallback(params);
-    tween.onCompleteCallback();
+    quiz.streak = 0;
+    quiz.missed.push({ feature, answer: query });
+    ui.feedback.textContent = 'It was ' + feature.properties.name;
+    ui.feedback.className = 'quiz-wrong';
   }
-  render();
+  updateQuizStatus();
+  setTimeout(() => {
+    if (state.quiz !== quiz) return; // stopped in the meantime
+    quiz.current++;
+    if (quiz.current < quiz.questions.length) {
+      askQuizQuestion();
+    } else {
+      finishQuiz();
+    }
+  }, QUIZ_NEXT_DELAY);
 }
 
-function render() {
-  if (!state.renderer) return;
-  state.renderer.render(state.scene, state.camera);
+function updateQuizStatus() {
+  const quiz = state.quiz;
+  if (!quiz) return;
+  const asked = quiz.current + (quiz.answered ? 1 : 0);
+  state.quizUI.status.textContent = [
+    'Score ' + quiz.score + '/' + asked,
+    'Streak ' + quiz.streak,
+    formatElapsed(performance.now() - quiz.startedAt),
+  ].join(' · ');
 }
 
-function animate(time) {
-  requestAnimationFrame(animate);
-  // update tween engine
-  Tween.update();
-  // update particles
-  if (state.particleSystem) {
-    state.particleSystem.update(0.016); // approximate dt for 60fps
+// End of a round: totals plus the missed countries, each of which can
+// be clicked to draw it with its name
+function finishQuiz() {
+  const quiz = state.quiz;
+  const ui = state.quizUI;
+  const elapsed = performance.now() - quiz.startedAt;
+  stopQuiz();
+  ui.summary.textContent = [
+    quiz.score + ' of ' + quiz.questions.length + ' correct',
+    'best streak ' + quiz.bestStreak,
+    formatElapsed(elapsed),
+  ].join(' · ');
+  ui.missed.innerHTML = '';
+  quiz.missed.forEach(({ feature, answer }) => {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.className = 'chip';
+    button.textContent = feature.properties.name;
+    button.addEventListener('click', () => drawFeatures([feature]));
+    item.appendChild(button);
+    item.appendChild(document.createTextNode(answer ? ' you said "' + answer + '"' : ' skipped'));
+    ui.missed.appendChild(item);
+  });
+  ui.missedHeading.textContent = quiz.missed.length ? 'Missed' : 'No misses!';
+  ui.review.classList.remove('hidden');
+}
+
+// Leave quiz mode, keeping whatever outline is on screen
+function stopQuiz() {
+  const ui = state.quizUI;
+  if (state.quiz) clearInterval(state.quiz.timer);
+  state.quiz = null;
+  ui.play.classList.add('hidden');
+  ui.setup.classList.remove('hidden');
+  renderSelectionChips();
+  updateStatsPanel();
+}
+
+function setupQuiz() {
+  const byId = (id) => document.getElementById(id);
+  const panel = byId('quizPanel');
+  state.quizUI = {
+    setup: byId('quizSetup'),
+    level: byId('quizLevel'),
+    region: byId('quizRegion'),
+    play: byId('quizPlay'),
+    prompt: byId('quizPrompt'),
+    answer: byId('quizAnswer'),
+    feedback: byId('quizFeedback'),
+    status: byId('quizStatus'),
+    review: byId('quizReview'),
+    summary: byId('quizSummary'),
+    missedHeading: byId('quizMissedHeading'),
+    missed: byId('quizMissed'),
+  };
+  const ui = state.quizUI;
+  populateOptions(
+    ui.level,
+    Object.fromEntries(Object.entries(QUIZ_LEVELS).map(([key, level]) => [key, level.name])),
+    'easy'
+  );
+  const regions = state.regions
+    ? [...new Set(Object.values(state.regions.countries).map((meta) => meta.region))]
+        .filter((region) => region !== 'Antarctica')
+        .sort()
+    : [];
+  populateOptions(
+    ui.region,
+    Object.fromEntries([['', 'All regions']].concat(regions.map((r) => [r, r]))),
+    ''
+  );
+  ui.region.classList.toggle('hidden', !regions.length);
+  byId('quizButton').addEventListener('click', () => {
+    if (panel.classList.toggle('hidden')) stopQuiz();
+  });
+  byId('quizClose').addEventListener('click', () => {
+    stopQuiz();
+    panel.classList.add('hidden');
+  });
+  byId('quizStart').addEventListener('click', startQuiz);
+  byId('quizStop').addEventListener('click', stopQuiz);
+  byId('quizSkip').addEventListener('click', () => answerQuiz(''));
+  byId('quizForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (ui.answer.value.trim()) answerQuiz(ui.answer.value);
+  });
+}
+
+// Playlist tour for kiosks.  A queue of countries (a region, a typed
+// list, or every country shuffled) is drawn one after another in full
+// screen with the control panel hidden.  Each draw's completion (see
+// onOutlineComplete) starts the hold before the next country; the queue
+// loops until Escape.  Space pauses both the draw and the hold.
+const TOUR_SOURCES = { all: 'All countries, shuffled', custom: 'Custom list' };
+
+// Features for a tour source value: 'all', 'custom' or a region picker
+// value.  Unrecognised names in a custom list are reported and skipped.
+function tourQueue(source, customList) {
+  if (source === 'all') {
+    return shuffle(state.features.slice(0, state.countryCount));
+  }
+  if (source !== 'custom') return featuresForRegion(source).features;
+  const features = [];
+  const unknown = [];
+  customList
+    .split(/[,;\n]/)
+    .map((name) => name.trim())
+    .filter(Boolean)
+    .forEach((name) => {
+      const match = exactSearchMatch(name) || searchIndex(name, 1)[0];
+      const feature = match && featureForItem(match.item);
+      if (feature) {
+        features.push(feature);
+      } else {
+        unknown.push(name);
+      }
+    });
+  if (unknown.length) showStatus('Not found: ' + unknown.join(', '), 'info');
+  return features;
+}
+
+async function startTour() {
+  const ui = state.tourUI;
+  const source = ui.source.value;
+  const queue = tourQueue(source, ui.list.value);
+  if (!queue.length) {
+    showStatus('The tour has no countries to show.', 'info');
+    return;
+  }
+  if (state.quiz) stopQuiz();
+  state.tour = {
+    source,
+    queue,
+    current: -1,
+    hold: Math.max(0, parseFloat(ui.hold.value) || 0) * 1000,
+    holdLeft: 0,
+    waiting: false, // true during the hold after a draw completes
+    paused: false,
+  };
+  document.getElementById('controlPanel').classList.add('hidden');
+  document.getElementById('quizPanel').classList.add('hidden');
+  document.getElementById('themeEditor').classList.add('hidden');
+  if (document.fullscreenElement === null && document.documentElement.requestFullscreen) {
+    try {
+      await document.documentElement.requestFullscreen();
+    } catch (err) {
+      // Full screen is a nicety; the tour runs in the window as well
+    }
+  }
+  // Fit the renderer to the space the control panel gave up
+  window.dispatchEvent(new Event('resize'));
+  nextTourStop();
+}
+
+// Draw the next country in the queue, reshuffling an all-countries
+// tour each time it wraps around
+function nextTourStop() {
+  const tour = state.tour;
+  tour.current++;
+  if (tour.current >= tour.queue.length) {
+    tour.current = 0;
+    if (tour.source === 'all') shuffle(tour.queue);
+  }
+  tour.waiting = false;
+  const feature = tour.queue[tour.current];
+  showTourTitle(feature.properties.name);
+  drawFeatures([feature]);
+}
+
+// Start the hold once the current draw has completed.  Looping
+// playback completes the same draw repeatedly, so only the first
+// completion counts.
+function onTourOutlineComplete() {
+  const tour = state.tour;
+  if (!tour || tour.waiting) return;
+  tour.waiting = true;
+  tour.holdLeft = tour.hold;
+}
+
+// Count down the hold by `dt` seconds; called every animation frame
+function advanceTour(dt) {
+  const tour = state.tour;
+  if (!tour || !tour.waiting || tour.paused) return;
+  tour.holdLeft -= dt * 1000;
+  if (tour.holdLeft <= 0) nextTourStop();
+}
+
+// The globe fly-to and the morph run on Tween.update() rather than
+// the playback clock, so a paused tour holds them separately
+function setTransitionsPaused(paused) {
+  for (const tween of [state.globeTween, state.morphTween]) {
+    if (!tween || !tween.isPlaying()) continue;
+    if (paused) {
+      tween.pause();
+    } else {
+      tween.resume();
+    }
+  }
+}
+
+function toggleTourPause() {
+  const tour = state.tour;
+  tour.paused = !tour.paused;
+  state.playback.paused = tour.paused;
+  setTransitionsPaused(tour.paused);
+  updateTransportUI();
+  state.tourUI.titleHint.classList.toggle('hidden', !tour.paused);
+}
+
+function stopTour() {
+  if (!state.tour) return;
+  state.tour = null;
+  state.playback.paused = false;
+  setTransitionsPaused(false);
+  updateTransportUI();
+  state.tourUI.title.classList.add('hidden');
+  state.tourUI.titleHint.classList.add('hidden');
+  document.getElementById('controlPanel').classList.remove('hidden');
+  if (document.fullscreenElement && document.exitFullscreen) {
+    document.exitFullscreen().catch(() => {});
+  }
+  window.dispatchEvent(new Event('resize'));
+  // The URL was left alone during the tour; catch it up
+  syncUrl();
+}
+
+// Title card over the canvas, restarted for every country so its
+// fade-in replays
+function showTourTitle(name) {
+  const title = state.tourUI.title;
+  state.tourUI.titleName.textContent = name;
+  title.classList.add('hidden');
+  // Force a style flush so removing the class restarts the animation
+  void title.offsetWidth;
+  title.classList.remove('hidden');
+}
+
+function setupTour() {
+  const byId = (id) => document.getElementById(id);
+  state.tourUI = {
+    source: byId('tourSource'),
+    list: byId('tourList'),
+    hold: byId('tourHold'),
+    title: byId('tourTitle'),
+    titleName: byId('tourTitleName'),
+    titleHint: byId('tourTitleHint'),
+  };
+  const ui = state.tourUI;
+  populateOptions(ui.source, TOUR_SOURCES, 'all');
+  // Offer the region picker's continents, subregions and groups too
+  state.regionSelect.querySelectorAll('optgroup').forEach((group) => {
+    ui.source.appendChild(group.cloneNode(true));
+  });
+  ui.source.addEventListener('change', () => {
+    ui.list.classList.toggle('hidden', ui.source.value !== 'custom');
+  });
+  byId('tourStartButton').addEventListener('click', startTour);
+  document.addEventListener('keydown', (e) => {
+    if (!state.tour) return;
+    if (e.key === ' ') {
+      e.preventDefault();
+      toggleTourPause();
+    } else if (e.key === 'Escape') {
+      stopTour();
+    }
+  });
+  // Leaving full screen with Escape is handled by the browser, which
+  // swallows the key, so treat it as stopping the tour
+  document.addEventListener('fullscreenchange', () => {
+    if (!document.fullscreenElement && state.tour) stopTour();
+  });
+}
+
+// Geometry statistics for the selection, shown in the stats panel and
+// copied as JSON.  Everything is measured on the sphere with d3-geo
+// from the loaded boundary data, so vertex counts and perimeters
+// reflect that data's resolution.
+function geometryPolygons(geometry) {
+  if (!geometry) return [];
+  switch (geometry.type) {
+    case 'Polygon':
+      return [geometry.coordinates];
+    case 'MultiPolygon':
+      return geometry.coordinates;
+    case 'GeometryCollection':
+      return geometry.geometries.flatMap(geometryPolygons);
+    default:
+      return [];
+  }
+}
+
+// Positions in a ring, not counting a closing repeat of the first
+function ringVertexCount(ring) {
+  const n = ring.length;
+  const closed = n > 1 && ring[0][0] === ring[n - 1][0] && ring[0][1] === ring[n - 1][1];
+  return closed ? n - 1 : n;
+}
+
+function roundTo(value, digits) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+// Statistics for a list of features.  Islands are the polygons besides
+// each feature's largest; holes are interior rings.  Bounds come from
+// d3.geoBounds, so west > east when the selection crosses the
+// antimeridian.
+function geometryStats(features) {
+  const collection = { type: 'FeatureCollection', features };
+  let polygons = 0;
+  let islands = 0;
+  let holes = 0;
+  let vertices = 0;
+  for (const feature of features) {
+    const parts = geometryPolygons(feature.geometry);
+    polygons += parts.length;
+    islands += Math.max(0, parts.length - 1);
+    parts.forEach((rings) => (holes += rings.length - 1));
+    geometryRings(feature.geometry).forEach((ring) => (vertices += ringVertexCount(ring)));
+  }
+  const [[west, south], [east, north]] = d3Geo.geoBounds(collection);
+  const [lon, lat] = d3Geo.geoCentroid(collection);
+  return {
+    name: state.selectionLabel,
+    ids: features.map((f) => featureCode(f)),
+    areaKm2: Math.round(features.reduce((sum, f) => sum + featureAreaKm2(f), 0)),
+    perimeterKm: Math.round(d3Geo.geoLength(collection) * EARTH_RADIUS_KM),
+    polygons,
+    islands,
+    holes,
+    bounds: {
+      west: roundTo(west, 4),
+      south: roundTo(south, 4),
+      east: roundTo(east, 4),
+      north: roundTo(north, 4),
+    },
+    centroid: { lon: roundTo(lon, 4), lat: roundTo(lat, 4) },
+    vertices,
+  };
+}
+
+// e.g. 12.34° N
+function formatLatitude(lat) {
+  return Math.abs(lat).toFixed(2) + '° ' + (lat < 0 ? 'S' : 'N');
+}
+
+function formatLongitude(lon) {
+  return Math.abs(lon).toFixed(2) + '° ' + (lon < 0 ? 'W' : 'E');
+}
+
+// Refresh the stats panel for the current selection, if it is open.
+// During a quiz the figures would give the answer away.
+function updateStatsPanel() {
+  const ui = state.statsUI;
+  if (!ui || ui.panel.classList.contains('hidden')) return;
+  ui.list.innerHTML = '';
+  state.stats = null;
+  ui.copy.disabled = true;
+  if (!state.selection.length || state.quiz) {
+    ui.title.textContent = state.quiz ? 'Hidden during the quiz' : 'Nothing selected';
+    return;
+  }
+  const stats = geometryStats(state.selection);
+  state.stats = stats;
+  ui.copy.disabled = false;
+  ui.title.textContent = stats.name;
+  const rows = [
+    ['Area', stats.areaKm2.toLocaleString() + ' km²'],
+    ['Perimeter', stats.perimeterKm.toLocaleString() + ' km'],
+    ['Polygons', stats.polygons],
+    ['Islands', stats.islands],
+    ['Holes', stats.holes],
+    ['Latitude', formatLatitude(stats.bounds.south) + ' to ' + formatLatitude(stats.bounds.north)],
+    ['Longitude', formatLongitude(stats.bounds.west) + ' to ' + formatLongitude(stats.bounds.east)],
+    ['Centroid', formatLatitude(stats.centroid.lat) + ', ' + formatLongitude(stats.centroid.lon)],
+    ['Vertices', stats.vertices.toLocaleString()],
+  ];
+  for (const [label, value] of rows) {
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const detail = document.createElement('dd');
+    detail.textContent = value;
+    ui.list.append(term, detail);
   }
-  render();
+}
+
+async function copyStatsJson() {
+  if (!state.stats) return;
+  try {
+    await navigator.clipboard.writeText(JSON.stringify(state.stats, null, 2));
+    showStatus('Statistics copied as JSON.', 'info');
+  } catch (err) {
+    showStatus('Could not copy to the clipboard: ' + err.message, 'error');
+  }
+}
+
+function setupStatsPanel() {
+  const byId = (id) => document.getElementById(id);
+  state.statsUI = {
+    panel: byId('statsPanel'),
+    title: byId('statsTitle'),
+    list: byId('statsList'),
+    copy: byId('statsCopyButton'),
+  };
+  const ui = state.statsUI;
+  byId('statsButton').addEventListener('click', () => {
+    ui.panel.classList.toggle('hidden');
+    updateStatsPanel();
+  });
+  byId('statsClose').addEventListener('click', () => ui.panel.classList.add('hidden'));
+  ui.copy.addEventListener('click', copyStatsJson);
 }
 
 function setupUI() {
@@ -529,60 +6034,195 @@ function setupUI() {
   state.menuToggle = document.getElementById('menuToggle');
   state.primaryControls = document.getElementById('primaryControls');
   state.secondaryControls = document.getElementById('secondaryControls');
+  state.exportBackgroundToggle = document.getElementById('exportBackgroundToggle');
+  state.exportWidth = document.getElementById('exportWidth');
+  state.exportHeight = document.getElementById('exportHeight');
+  state.exportFps = document.getElementById('exportFps');
+  state.exportFormat = document.getElementById('exportFormat');
+  state.regionSelect = document.getElementById('regionSelect');
+  state.multiSelectToggle = document.getElementById('multiSelectToggle');
+  state.sequenceSelect = document.getElementById('sequenceSelect');
+  state.selectionChips = document.getElementById('selectionChips');
+  state.subdivisionsToggle = document.getElementById('subdivisionsToggle');
+  state.contextToggle = document.getElementById('contextToggle');
+  state.orderSelect = document.getElementById('orderSelect');
+  state.insetsToggle = document.getElementById('insetsToggle');
+  state.easingSelect = document.getElementById('easingSelect');
+  state.projectionSelect = document.getElementById('projectionSelect');
+  state.viewSelect = document.getElementById('viewSelect');
+  state.morphToggle = document.getElementById('morphToggle');
+  state.calloutText = document.getElementById('calloutText');
+  populateOptions(state.orderSelect, RING_ORDERS, state.ringOrder);
+  populateOptions(
+    state.projectionSelect,
+    Object.fromEntries(
+      [['auto', 'Automatic']].concat(Object.entries(PROJECTIONS).map(([key, p]) => [key, p.name]))
+    ),
+    state.projectionKey
+  );
+  populateOptions(
+    state.easingSelect,
+    Object.fromEntries(Object.entries(EASINGS).map(([key, e]) => [key, e.name])),
+    state.easing
+  );
+  populateRegionSelect();
   // Update duration display
   state.durationValue.textContent = state.durationSlider.value + 's';
   // Listen for country input events
-  state.countryInput.addEventListener('change', (e) => {
+  state.countryInput.addEventListener('change', async (e) => {
     const query = e.target.value.trim();
     if (!query) return;
-    // Use Fuse.js to find best matching country
-    const results = state.fuse.search(query);
-    let selected = null;
-    // If the typed value matches exactly, pick that; otherwise use top match
-    for (const item of state.index) {
-      if (item.name.toLowerCase() === query.toLowerCase()) {
-        selected = item;
-        break;
+    // If the typed value is exactly a name, code or alias, pick that;
+    // a "<subdivision>, <country>" query loads that country's
+    // subdivisions first; otherwise use the top Fuse.js match
+    let match = exactSearchMatch(query);
+    if (!match && query.includes(',')) {
+      try {
+        match = await searchSubdivision(query);
+      } catch (err) {
+        showStatus('Could not load subdivisions: ' + err.message, 'error');
+        return;
       }
     }
-    if (!selected && results.length > 0) {
-      selected = results[0].item;
-    }
+    match = match || searchIndex(query, 1)[0];
+    const selected = match ? match.item : null;
     if (selected) {
-      // Find feature by id
-      const feature = state.features.find((f) => f.id === selected.id);
+      const feature = featureForItem(selected);
       if (feature) {
-        drawCountry(feature);
+        selectFeature(feature);
       }
     }
   });
+  state.countryInput.addEventListener('input', (e) => {
+    showAliasSuggestions(e.target.value);
+  });
+  // Region groups and multi-select
+  state.regionSelect.addEventListener('change', (e) => {
+    const value = e.target.value;
+    if (!value) return;
+    const group = featuresForRegion(value);
+    if (group.features.length) {
+      state.countryInput.value = '';
+      drawFeatures(group.features, group.name, value);
+    }
+  });
+  state.multiSelectToggle.addEventListener('change', (e) => {
+    state.multiSelect = e.target.checked;
+    renderSelectionChips();
+  });
+  // Subdivisions follow the outline; toggling only adds or removes
+  // the secondary layer
+  state.subdivisionsToggle.addEventListener('change', (e) => {
+    state.showSubdivisions = e.target.checked;
+    if (!state.showSubdivisions) {
+      clearSubdivisionLayer();
+      render();
+    } else if (state.selection.length && !(state.animationTween && state.animationTween.isPlaying())) {
+      showSubdivisionLayer();
+    }
+  });
+  state.contextToggle.addEventListener('change', (e) => {
+    state.showContext = e.target.checked;
+    redraw();
+  });
+  state.renderer.domElement.addEventListener('click', handleCanvasClick);
+  state.insetsToggle.addEventListener('change', (e) => {
+    state.showInsets = e.target.checked;
+    redraw();
+  });
+  state.morphToggle.addEventListener('change', (e) => {
+    state.morph = e.target.checked;
+  });
+  // The fill floods in straight away if the outline has drawn
+  document.getElementById('fillToggle').addEventListener('change', (e) => {
+    state.showFill = e.target.checked;
+    if (!state.showFill) {
+      clearFill();
+      render();
+    } else if (state.selection.length && !(state.animationTween && state.animationTween.isPlaying())) {
+      showFill();
+    }
+  });
+  // Annotations
+  document.getElementById('labelsToggle').addEventListener('change', (e) => {
+    state.showLabels = e.target.checked;
+    refreshAnnotations();
+  });
+  document.getElementById('scaleBarToggle').addEventListener('change', (e) => {
+    state.showScaleBar = e.target.checked;
+    refreshAnnotations();
+  });
+  document.getElementById('addCalloutButton').addEventListener('click', () => {
+    if (!state.selection.length) {
+      showStatus('Select a country before adding callouts.', 'error');
+      return;
+    }
+    state.placingCallout = true;
+    state.renderer.domElement.classList.add('placing');
+    showStatus('Click the map where the callout should point.', 'info');
+  });
+  state.calloutText.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      finishCallout(true);
+    } else if (e.key === 'Escape') {
+      finishCallout(false);
+    }
+  });
+  document.getElementById('clearCalloutsButton').addEventListener('click', () => {
+    state.callouts = [];
+    refreshAnnotations();
+  });
+  state.viewSelect.addEventListener('change', (e) => {
+    setViewMode(e.target.value);
+  });
+  state.projectionSelect.addEventListener('change', (e) => {
+    state.projectionKey = e.target.value;
+    updateProjectionLabel();
+    redraw();
+  });
+  state.orderSelect.addEventListener('change', (e) => {
+    state.ringOrder = e.target.value;
+    redraw();
+  });
+  state.easingSelect.addEventListener('change', (e) => {
+    state.easing = e.target.value;
+    redraw();
+  });
+  state.sequenceSelect.addEventListener('change', (e) => {
+    state.sequenceMode = e.target.value;
+    if (state.selection.length > 1) redraw();
+  });
   // Theme selection
   state.themeSelect.addEventListener('change', (e) => {
     const key = e.target.value;
     setTheme(key);
+    syncUrl();
   });
   // Animate toggle
   state.animateToggle.addEventListener('change', (e) => {
     const checked = e.target.checked;
     state.animating = checked;
     // Restart animation on toggle change
-    if (state.currentCountry) {
-      drawCountry(state.currentCountry);
-    }
+    redraw();
     if (state.particleSystem) {
       state.particleSystem.setActive(checked);
     }
+    syncUrl();
   });
   // Duration slider
   state.durationSlider.addEventListener('input', (e) => {
     const value = parseInt(e.target.value, 10);
-    state.animationDuration = value * 1000;
     state.durationValue.textContent = value + 's';
-    // Restart animation with new duration
-    if (state.currentCountry) {
-      drawCountry(state.currentCountry);
-    }
+    // Retime the running draw in place
+    setAnimationDuration(value * 1000);
   });
+  // Record the duration once the slider is released rather than on
+  // every step, since browsers rate-limit history updates
+  state.durationSlider.addEventListener('change', syncUrl);
+  // Export actions
+  document.getElementById('exportSvgButton').addEventListener('click', exportSvg);
+  document.getElementById('exportVideoButton').addEventListener('click', exportVideo);
+  document.getElementById('exportPngButton').addEventListener('click', exportSnapshot);
   // Menu toggle for small screens
   state.menuToggle.addEventListener('click', () => {
     const panel = document.getElementById('controlPanel');
@@ -596,12 +6236,25 @@ function setupUI() {
 
 async function init() {
   await loadData();
+  await loadRegions();
   setupRenderer();
   setupUI();
+  setupThemeEditor();
+  setupTransport();
+  setupQuiz();
+  setupTour();
+  setupStatsPanel();
+  loadCustomThemes();
+  setupFileDrop();
   // Set default theme
   setTheme(state.themeKey);
+  // Restore a linked selection and settings
+  setupHistory();
   // Kick off animation loop
   requestAnimationFrame(animate);
 }
 
-init().catch((err) => console.error(err));
\ No newline at end of file
+init().catch((err) => {
+  console.error(err);
+  showStatus(err.message, 'error');
+});
\ No newline at end of file